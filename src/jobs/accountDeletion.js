@@ -0,0 +1,41 @@
+const User = require('../models/User');
+const { deletionBlockers, eraseAccount } = require('../services/accountDeletion');
+
+const DELETION_INTERVAL_MINUTES = Number(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES) || 60;
+
+// Erase accounts whose deletion grace period has ended, and finish erasures that
+// failed partway (those are already marked deleted). Accounts that picked up
+// something blocking in the meantime (a new ticket, say) wait for the next run.
+exports.eraseDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  let erased = 0;
+  for (const user of due) {
+    const blockers = user.deletedAt ? [] : await deletionBlockers(user);
+    if (blockers.length) {
+      console.log(`Account deletion of ${user._id} postponed: ${blockers.length} blocker(s)`);
+      continue;
+    }
+
+    try {
+      await eraseAccount(user);
+      erased += 1;
+    } catch (err) {
+      // Retried on the next run; one account must not hold up the others
+      console.log(`Account deletion of ${user._id} failed:`, err);
+    }
+  }
+
+  return erased;
+};
+
+exports.startAccountDeletion = () => {
+  const timer = setInterval(() => {
+    exports.eraseDueAccounts()
+      .then(count => count && console.log(`Erased ${count} account(s) after their deletion grace period`))
+      .catch(err => console.log('Account deletion error:', err));
+  }, DELETION_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,172 @@
+const Event = require('../models/Event');
+const EventOccurrence = require('../models/EventOccurrence');
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { registerJobHandler } = require('./jobRunner');
+const { releaseHold, releaseSold, countTickets } = require('../services/inventory');
+const { releaseSeats } = require('../services/seating');
+const { queueRefund, refundableAmount } = require('../services/refunds');
+const { releasePromoCode } = require('../services/pricing');
+const { notify } = require('../services/notifications');
+const { recordActivity } = require('../services/analytics');
+
+const JOB_TYPE = 'event-cancellation';
+const BATCH_SIZE = 50;
+
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// Cancel one registration of a cancelled event (or session): refund what is left of
+// the payment, invalidate the ticket and give back its inventory. Safe to repeat after
+// a crash: the refund uses the remaining balance and the status change only happens once.
+// A refund the provider refuses stays pending on the registration and is retried by
+// the refund job, so it doesn't hold up the cancellation.
+const cancelRegistration = async ({ event, occurrence, reason }, registration, counters) => {
+  let refunded = registration.pendingRefund?.amount || 0;
+
+  if (!refunded && PAID_STATUSES.includes(registration.paymentStatus) && refundableAmount(registration) > 0) {
+    refunded = refundableAmount(registration);
+    const paid = await queueRefund(registration, refunded, {
+      type: 'cancellation',
+      reason: occurrence ? 'Session cancelled by the organizer' : 'Event cancelled by the organizer'
+    });
+    if (paid) {
+      counters.refunded += 1;
+      counters.refundedAmount += refunded;
+    } else {
+      counters.refundsPending += 1;
+    }
+  }
+
+  const cancelled = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'active' },
+    {
+      status: 'cancelled',
+      inventoryStatus: 'released',
+      $inc: { qrVersion: 1 },
+      $unset: { qrCode: 1, holdExpiresAt: 1 }
+    }
+  );
+  if (!cancelled) return;
+
+  if (cancelled.inventoryStatus === 'held') {
+    await releaseHold(event._id, cancelled.tickets, cancelled.occurrence);
+    await releasePromoCode(event._id, cancelled.promoCode);
+  } else if (cancelled.inventoryStatus === 'sold') {
+    await releaseSold(event._id, cancelled.tickets, cancelled.occurrence);
+    await Event.updateOne({ _id: event._id }, {
+      $inc: { 'analytics.totalTicketsSold': -countTickets(cancelled.tickets) },
+      $pull: { attendees: cancelled._id }
+    });
+  }
+  await releaseSeats(cancelled._id);
+  await recordActivity('registration_cancelled', { registration: cancelled, sold: cancelled.inventoryStatus === 'sold' });
+  counters.cancelled += 1;
+
+  if (registration.user) {
+    await notify(registration.user, occurrence ? 'occurrence.cancelled' : 'event.cancelled', {
+      event,
+      occurrence,
+      registration,
+      reason,
+      refundAmount: refunded
+    });
+    counters.notified += 1;
+  }
+};
+
+registerJobHandler(JOB_TYPE, async (job, { checkpoint }) => {
+  const event = await Event.findById(job.event);
+  if (!event) {
+    throw new Error('Event not found');
+  }
+
+  // A single session of a recurring event, or the whole event
+  let occurrence = null;
+  if (job.params?.occurrence) {
+    occurrence = await EventOccurrence.findById(job.params.occurrence);
+    if (!occurrence) {
+      throw new Error('Session not found');
+    }
+  }
+  const context = { event, occurrence, reason: job.params?.reason };
+  const scope = { event: event._id, ...(occurrence && { occurrence: occurrence._id }) };
+
+  // Nothing can be bought or transferred any more
+  if (!occurrence) {
+    await WaitlistEntry.updateMany(
+      { event: event._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'cancelled' }
+    );
+  }
+  await TicketTransfer.updateMany(
+    {
+      event: event._id,
+      status: 'pending',
+      ...(occurrence && { registration: { $in: await Registration.find(scope).distinct('_id') } })
+    },
+    { status: 'cancelled' }
+  );
+
+  const query = { ...scope, status: 'active' };
+  const counters = { cancelled: 0, refunded: 0, refundedAmount: 0, refundsPending: 0, notified: 0, failed: 0 };
+  for (const [key, value] of job.counters) {
+    counters[key] = value;
+  }
+
+  // Each pass over the registrations reports only its own failures
+  if (!job.cursor) {
+    counters.failed = 0;
+    await checkpoint({
+      progress: { total: await Registration.countDocuments(query), processed: 0 },
+      counters,
+      failures: []
+    });
+  }
+
+  for (;;) {
+    const batch = await Registration.find({
+      ...scope,
+      ...(job.cursor && { _id: { $gt: job.cursor } })
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .populate('user', 'name email phone');
+    if (batch.length === 0) break;
+
+    for (const registration of batch) {
+      if (registration.status !== 'active') continue;
+
+      try {
+        await cancelRegistration(context, registration, counters);
+      } catch (error) {
+        counters.failed += 1;
+        job.failures.push({ item: registration._id, message: error.message });
+      }
+      job.progress.processed += 1;
+    }
+
+    await checkpoint({ cursor: batch[batch.length - 1]._id, counters });
+  }
+
+  // Not done while any registration is still active: start over from the first one,
+  // and let the runner retry the job
+  const unsettled = await Registration.countDocuments(query);
+  if (unsettled > 0) {
+    await checkpoint({ cursor: null, counters });
+    throw new Error(`${unsettled} registration(s) could not be cancelled yet`);
+  }
+
+  return {
+    event: event._id,
+    ...(occurrence && { occurrence: occurrence._id }),
+    registrationsCancelled: counters.cancelled,
+    refundsIssued: counters.refunded,
+    amountRefunded: Math.round(counters.refundedAmount * 100) / 100,
+    refundsPending: counters.refundsPending,
+    attendeesNotified: counters.notified,
+    failures: counters.failed
+  };
+});
+
+exports.JOB_TYPE = JOB_TYPE;
@@ -0,0 +1,29 @@
+const Event = require('../models/Event');
+
+const COMPLETE_INTERVAL_MINUTES = Number(process.env.EVENT_COMPLETE_INTERVAL_MINUTES) || 10;
+
+// Mark published events whose end date has passed as completed
+exports.completeEndedEvents = async () => {
+  const now = new Date();
+
+  const result = await Event.updateMany(
+    { status: 'published', endDate: { $lte: now } },
+    {
+      $set: { status: 'completed' },
+      $push: { reviewHistory: { from: 'published', to: 'completed', reason: 'Event ended', at: now } }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+exports.startEventCompleter = () => {
+  const timer = setInterval(() => {
+    exports.completeEndedEvents()
+      .then(count => count && console.log(`Marked ${count} ended event(s) as completed`))
+      .catch(err => console.log('Event completer error:', err));
+  }, COMPLETE_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
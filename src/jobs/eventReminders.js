@@ -0,0 +1,78 @@
+const Event = require('../models/Event');
+const EventOccurrence = require('../models/EventOccurrence');
+const { notifyAttendees } = require('../services/notifications');
+
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 5;
+
+const HOUR = 60 * 60 * 1000;
+
+// Each reminder goes out once, when the start is within `lead` but still more than `after` away
+const REMINDERS = [
+  { key: 'day', type: 'event.reminder_24h', lead: 24 * HOUR, after: HOUR },
+  { key: 'hour', type: 'event.reminder_1h', lead: HOUR, after: 0 }
+];
+
+// Remind ticket holders of published events that start soon
+exports.sendEventReminders = async () => {
+  const now = Date.now();
+  let sent = 0;
+
+  for (const reminder of REMINDERS) {
+    const window = { $gt: new Date(now + reminder.after), $lte: new Date(now + reminder.lead) };
+    const query = {
+      status: 'published',
+      recurrence: { $exists: false },
+      startDate: window,
+      [`remindersSent.${reminder.key}`]: { $exists: false }
+    };
+
+    for (;;) {
+      // Claim the event first so concurrent instances don't both send
+      const event = await Event.findOneAndUpdate(
+        query,
+        { $set: { [`remindersSent.${reminder.key}`]: new Date() } },
+        { new: true }
+      );
+      if (!event) break;
+
+      sent += await notifyAttendees(event, reminder.type, {}, { inventoryStatus: 'sold' });
+    }
+
+    // Recurring events are reminded per session
+    const sessionQuery = {
+      status: 'scheduled',
+      startDate: window,
+      [`remindersSent.${reminder.key}`]: { $exists: false }
+    };
+
+    for (;;) {
+      const occurrence = await EventOccurrence.findOneAndUpdate(
+        sessionQuery,
+        { $set: { [`remindersSent.${reminder.key}`]: new Date() } },
+        { new: true }
+      );
+      if (!occurrence) break;
+
+      const event = await Event.findOne({ _id: occurrence.event, status: 'published' });
+      if (!event) continue;
+
+      sent += await notifyAttendees(event, reminder.type, { occurrence }, {
+        inventoryStatus: 'sold',
+        occurrence: occurrence._id
+      });
+    }
+  }
+
+  return sent;
+};
+
+exports.startEventReminders = () => {
+  const timer = setInterval(() => {
+    exports.sendEventReminders()
+      .then(count => count && console.log(`Sent ${count} event reminder(s)`))
+      .catch(err => console.log('Event reminder error:', err));
+  }, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
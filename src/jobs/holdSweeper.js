@@ -0,0 +1,58 @@
+const Registration = require('../models/Registration');
+const { releaseHold } = require('../services/inventory');
+const { releaseSeats } = require('../services/seating');
+const { promoteWaitlist, expireWaitlistOffers } = require('../services/waitlist');
+const { releasePromoCode } = require('../services/pricing');
+
+const SWEEP_INTERVAL_SECONDS = Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60;
+
+// Expire unpaid registrations whose seat hold ran out and return their seats
+exports.releaseExpiredHolds = async () => {
+  let released = 0;
+  const freedEvents = new Set();
+
+  const expired = await Registration.find({
+    inventoryStatus: 'held',
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  for (const { _id } of expired) {
+    // Claim the registration first so a concurrent payment or sweep can't double-release
+    const registration = await Registration.findOneAndUpdate(
+      { _id, inventoryStatus: 'held' },
+      { inventoryStatus: 'released', status: 'expired' },
+      { new: true }
+    );
+    if (!registration) continue;
+
+    await releaseHold(registration.event, registration.tickets, registration.occurrence);
+    await releaseSeats(registration._id);
+    await releasePromoCode(registration.event, registration.promoCode);
+    freedEvents.add(registration.event.toString());
+    released += 1;
+  }
+
+  // Offer the freed seats to the waitlist
+  for (const eventId of freedEvents) {
+    await promoteWaitlist(eventId);
+  }
+
+  return released;
+};
+
+exports.startHoldSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await exports.releaseExpiredHolds();
+      if (released) console.log(`Released ${released} expired ticket hold(s)`);
+
+      const expired = await expireWaitlistOffers();
+      if (expired) console.log(`Expired ${expired} unclaimed waitlist offer(s)`);
+    } catch (err) {
+      console.log('Hold sweeper error:', err);
+    }
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+};
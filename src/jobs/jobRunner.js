@@ -0,0 +1,107 @@
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_SECONDS = Number(process.env.JOB_POLL_INTERVAL_SECONDS) || 5;
+const LEASE_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Handlers: type -> async (job, context) => summary
+// context.checkpoint(changes) persists progress/cursor and renews the lease
+const handlers = {};
+
+exports.registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+exports.enqueueJob = async (type, data) => {
+  return Job.create({ type, ...data });
+};
+
+// Queue failed jobs again with a fresh set of attempts; each resumes from its last
+// checkpoint. Returns how many were queued.
+exports.retryFailedJobs = async (filter) => {
+  const result = await Job.updateMany(
+    { ...filter, status: 'failed' },
+    { status: 'queued', attempts: 0, $unset: { error: 1, finishedAt: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Take the lease of the next runnable job: queued, or running with a dead worker
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      attempts: { $lt: MAX_ATTEMPTS },
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'running',
+      lockedUntil: new Date(now.getTime() + LEASE_MS),
+      $inc: { attempts: 1 },
+      $min: { startedAt: now }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+const runJob = async (job) => {
+  const context = {
+    checkpoint: async (changes = {}) => {
+      Object.assign(job, changes);
+      job.lockedUntil = new Date(Date.now() + LEASE_MS);
+      await job.save();
+    }
+  };
+
+  try {
+    const summary = await handlers[job.type](job, context);
+    job.status = 'completed';
+    job.summary = summary;
+  } catch (error) {
+    console.log(`Job ${job._id} (${job.type}) failed:`, error);
+    job.error = error.message;
+    // Retry from the last checkpoint until attempts run out
+    job.status = job.attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+  }
+
+  job.lockedUntil = undefined;
+  if (['completed', 'failed'].includes(job.status)) {
+    job.finishedAt = new Date();
+  }
+  await job.save();
+};
+
+// Run every runnable job, one at a time
+exports.runPendingJobs = async () => {
+  let ran = 0;
+  for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+    await runJob(job);
+    ran += 1;
+  }
+  return ran;
+};
+
+let running = false;
+
+exports.startJobRunner = () => {
+  const tick = () => {
+    if (running) return;
+    running = true;
+    exports.runPendingJobs()
+      .catch(err => console.log('Job runner error:', err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  // Picks up jobs left unfinished by a previous process right away
+  tick();
+  const timer = setInterval(tick, POLL_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
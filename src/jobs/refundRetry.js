@@ -0,0 +1,14 @@
+const { retryPendingRefunds } = require('../services/refunds');
+
+const RETRY_INTERVAL_MINUTES = Number(process.env.REFUND_RETRY_INTERVAL_MINUTES) || 15;
+
+exports.startRefundRetry = () => {
+  const timer = setInterval(() => {
+    retryPendingRefunds()
+      .then(count => count && console.log(`Paid out ${count} pending refund(s)`))
+      .catch(err => console.log('Refund retry error:', err));
+  }, RETRY_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+
+const notAuthorized = () => new ApiError(401, 'NOT_AUTHENTICATED', 'Not authorized to access this route');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -10,26 +13,41 @@ exports.protect = async (req, res, next) => {
   }
 
   if (!token) {
-    return res.status(401).json({ message: 'Not authorized to access this route' });
+    return next(notAuthorized());
   }
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     req.user = await User.findById(decoded.id);
-    next();
   } catch (error) {
-    return res.status(401).json({ message: 'Not authorized to access this route' });
+    return next(notAuthorized());
+  }
+
+  if (!req.user || req.user.deletedAt) {
+    return next(notAuthorized());
+  }
+
+  if (req.user.isSuspended) {
+    return next(ApiError.forbidden('Your account has been suspended', 'ACCOUNT_SUSPENDED'));
   }
+
+  next();
 };
 
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        message: `User role ${req.user.role} is not authorized to access this route`
-      });
+      return next(ApiError.forbidden(`User role ${req.user.role} is not authorized to access this route`));
     }
     next();
   };
+};
+
+// Require a verified email address
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return next(ApiError.forbidden('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
+  }
+  next();
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+
+// Every error response has the shape { message, code, details? }
+
+// Unknown routes
+exports.notFound = (req, res, next) => {
+  next(ApiError.notFound(`Route not found: ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+};
+
+// Translate known error types into a consistent response
+exports.errorHandler = (err, req, res, next) => {
+  let error = err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    error = ApiError.validation(Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message,
+      code: e.kind
+    })));
+  } else if (err instanceof mongoose.Error.CastError) {
+    error = ApiError.badRequest(`Invalid ${err.path}: ${JSON.stringify(err.value)}`, 'INVALID_ID', [{
+      field: err.path,
+      message: `Invalid ${err.kind}`,
+      code: 'cast'
+    }]);
+  } else if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    error = ApiError.conflict(`Duplicate value for ${fields.join(', ') || 'a unique field'}`, 'DUPLICATE_KEY',
+      fields.map(field => ({ field, message: 'Already exists', code: 'unique' })));
+  } else if (err.type === 'entity.parse.failed') {
+    error = ApiError.badRequest('Malformed JSON body', 'INVALID_JSON');
+  } else if (err.type === 'entity.too.large') {
+    error = new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body too large');
+  }
+
+  if (!(error instanceof ApiError)) {
+    console.error(err.stack);
+    error = new ApiError(500, 'INTERNAL_ERROR',
+      process.env.NODE_ENV === 'production' ? 'Server Error' : err.message);
+  }
+
+  res.status(error.statusCode).json({
+    message: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details })
+  });
+};
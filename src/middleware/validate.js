@@ -0,0 +1,59 @@
+const ApiError = require('../utils/ApiError');
+
+const OPTIONS = {
+  abortEarly: false,
+  // Whitelisting: anything the schema doesn't name is dropped, so unknown or
+  // protected fields (isApproved, analytics, sold, ...) never reach Mongoose
+  stripUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+const toDetails = (location, error) => error.details.map(d => ({
+  field: [location, ...d.path].join('.'),
+  message: d.message,
+  code: d.type
+}));
+
+// Validate and sanitize req.params, req.query and req.body against Joi schemas.
+// Bad route parameters are a 400, invalid query strings and bodies a 422.
+const validate = (schemas) => (req, res, next) => {
+  if (schemas.params) {
+    const { error, value } = schemas.params.validate(req.params, OPTIONS);
+    if (error) {
+      return next(ApiError.badRequest('Invalid route parameter', 'INVALID_PARAMETER', toDetails('params', error)));
+    }
+    req.params = value;
+  }
+
+  const details = [];
+
+  if (schemas.query) {
+    const { error, value } = schemas.query.validate(req.query, OPTIONS);
+    if (error) {
+      details.push(...toDetails('query', error));
+    } else {
+      // Express 5 exposes req.query through a getter
+      Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+    }
+  }
+
+  if (schemas.body) {
+    const { error, value } = schemas.body.validate(req.body || {}, OPTIONS);
+    if (error) {
+      details.push(...toDetails('body', error));
+    } else {
+      req.body = value;
+    }
+  }
+
+  if (details.length) {
+    return next(ApiError.validation(details));
+  }
+
+  next();
+};
+
+module.exports = validate;
+// Shared with code validating data that doesn't arrive as a request (imports)
+module.exports.OPTIONS = OPTIONS;
@@ -37,9 +37,110 @@ const ticketTypeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Seats reserved by unpaid registrations until their hold expires
+  held: {
+    type: Number,
+    default: 0
+  },
   description: String
 });
 
+// Automatic price reduction: early-bird rules apply until `validUntil`,
+// group rules once a ticket type is bought `minQuantity` times or more
+const discountRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['early_bird', 'group'],
+    required: true
+  },
+  label: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validUntil: Date,
+  minQuantity: {
+    type: Number,
+    min: 1
+  },
+  ticketTypes: [String]
+});
+
+// Refund share a cancelling attendee gets, based on how long before startDate they cancel:
+// full refund up to `fullRefundDays`, `partialRefundPercent` up to `partialRefundDays`, then none
+const refundPolicySchema = new mongoose.Schema({
+  fullRefundDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  partialRefundDays: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  partialRefundPercent: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  byWeekday: [{
+    type: String,
+    enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+  }],
+  byMonthDay: [Number],
+  count: Number,
+  until: Date,
+  exceptions: [Date],
+  // First session start and length; the rule is expanded from these
+  dtstart: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: ([lng, lat, ...rest]) => rest.length === 0 &&
+        lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -60,6 +161,37 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Organization the event belongs to; its members share the event with the organizer
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Door staff added before collaborator roles; treated as door_staff collaborators
+  staff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Team invited to this event, each with a scoped role (see services/eventPermissions)
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['co_organizer', 'finance', 'door_staff'],
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   startDate: {
     type: Date,
     required: [true, 'Please provide start date']
@@ -86,7 +218,11 @@ const eventSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    zipCode: String
+    zipCode: String,
+    // IANA zone (e.g. Europe/Berlin) used for calendar feeds
+    timezone: String,
+    // Set by the organizer or geocoded from the address; used for radius search
+    geo: pointSchema
   },
   images: [{
     type: String
@@ -100,15 +236,63 @@ const eventSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  discountRules: [discountRuleSchema],
+  // Recurring series (see services/recurrence); sessions are EventOccurrence documents
+  // and startDate/endDate span the whole series
+  recurrence: recurrenceSchema,
+  // Reserved seating: the venue's seat map, with each price tier sold as one ticket type.
+  // Seat inventory lives in EventSeat.
+  seating: {
+    venue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue'
+    },
+    tiers: [{
+      _id: false,
+      tier: String,
+      ticketType: String
+    }]
+  },
+  refundPolicy: {
+    type: refundPolicySchema,
+    default: () => ({})
+  },
+  transferSettings: {
+    allowTransfers: {
+      type: Boolean,
+      default: true
+    },
+    // No new transfers after this moment; defaults to the event start
+    transferDeadline: Date
+  },
+  // Lifecycle, see services/eventLifecycle for the allowed transitions
   status: {
     type: String,
-    enum: ['draft', 'published', 'cancelled', 'completed'],
+    enum: ['draft', 'submitted', 'approved', 'rejected', 'published', 'completed', 'cancelled'],
     default: 'draft'
   },
+  reviewHistory: [{
+    from: String,
+    to: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isApproved: {
     type: Boolean,
     default: false
   },
+  // When attendee reminders went out, so each is sent once (jobs/eventReminders)
+  remindersSent: {
+    day: Date,
+    hour: Date
+  },
   tags: [String],
   attendees: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -132,6 +316,13 @@ const eventSchema = new mongoose.Schema({
   timestamps: true
 });
 
+eventSchema.index({ status: 1, endDate: 1 });
+eventSchema.index({ status: 1, startDate: 1 });
+eventSchema.index({ 'location.geo': '2dsphere' });
+eventSchema.index({ organizer: 1, createdAt: -1 });
+eventSchema.index({ 'collaborators.user': 1 });
+eventSchema.index({ organization: 1, createdAt: -1 });
+
 // Index for search
 eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Append-only log of what happens around an event; analytics are aggregated
+// from it and the running counters on Event can be rebuilt from it
+const eventActivitySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'view',
+      'registration_started',
+      'payment_completed',
+      'registration_cancelled',
+      'refund_issued',
+      'check_in',
+      'check_in_undone'
+    ],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  tickets: [{
+    _id: false,
+    ticketType: String,
+    quantity: Number,
+    amount: Number
+  }],
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  // For cancellations: whether the tickets had been sold (rather than only held)
+  sold: Boolean,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+eventActivitySchema.index({ event: 1, type: 1, at: 1 });
+eventActivitySchema.index({ type: 1, at: 1 });
+
+const appendOnly = function() {
+  throw new Error('Event activity is append-only');
+};
+eventActivitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], appendOnly);
+
+module.exports = mongoose.model('EventActivity', eventActivitySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Invitation to join an event's team with a collaborator role. The invitee accepts
+// with the token, signed in with the invited email address.
+const eventInvitationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['co_organizer', 'finance', 'door_staff'],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the acceptance token sent to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+eventInvitationSchema.index({ event: 1, email: 1, status: 1 });
+
+module.exports = mongoose.model('EventInvitation', eventInvitationSchema);
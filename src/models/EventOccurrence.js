@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One dated session of a recurring event, with its own inventory. Ticket names and
+// prices come from the event; quantities, sold and held are tracked here.
+const occurrenceTicketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  sold: {
+    type: Number,
+    default: 0
+  },
+  held: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const eventOccurrenceSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Start generated by the recurrence rule; identifies the occurrence across reschedules
+  originalStartDate: {
+    type: Date,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  totalCapacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  ticketTypes: [occurrenceTicketTypeSchema],
+  rescheduledAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  cancellationJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  remindersSent: {
+    day: Date,
+    hour: Date
+  }
+}, {
+  timestamps: true
+});
+
+eventOccurrenceSchema.index({ event: 1, originalStartDate: 1 }, { unique: true });
+eventOccurrenceSchema.index({ event: 1, startDate: 1 });
+eventOccurrenceSchema.index({ status: 1, startDate: 1 });
+
+module.exports = mongoose.model('EventOccurrence', eventOccurrenceSchema);
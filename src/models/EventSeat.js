@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Inventory of one reserved seat for one event, generated from the venue's seat map
+// when seating is attached. A held or sold seat belongs to exactly one registration.
+const eventSeatSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  seatId: {
+    type: String,
+    required: true
+  },
+  section: String,
+  row: String,
+  number: String,
+  tier: String,
+  ticketType: {
+    type: String,
+    required: true
+  },
+  accessible: Boolean,
+  status: {
+    type: String,
+    enum: ['available', 'held', 'sold'],
+    default: 'available'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  heldAt: Date
+});
+
+eventSeatSchema.index({ event: 1, seatId: 1 }, { unique: true });
+eventSeatSchema.index({ registration: 1 });
+
+module.exports = mongoose.model('EventSeat', eventSeatSchema);
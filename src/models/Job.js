@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Long-running background work. Handlers save `cursor` and `progress` as they go,
+// so a job interrupted by a restart resumes where it stopped.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  params: mongoose.Schema.Types.Mixed,
+  cursor: mongoose.Schema.Types.Mixed,
+  progress: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    }
+  },
+  counters: {
+    type: Map,
+    of: Number,
+    default: () => ({})
+  },
+  failures: [{
+    item: mongoose.Schema.Types.ObjectId,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  summary: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Lease held by the worker running the job; an expired lease means it died
+  lockedUntil: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ event: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  data: mongoose.Schema.Types.Mixed,
+  // Shown in the in-app inbox
+  inbox: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  deliveries: [{
+    channel: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, inbox: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, inbox: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const channelSettingsSchema = new mongoose.Schema({
+  email: Boolean,
+  in_app: Boolean,
+  sms: Boolean,
+  webhook: Boolean
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Channels used unless a type overrides them
+  channels: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    in_app: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    webhook: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Per notification type overrides, e.g. { 'event.reminder_1h': { email: false } }
+  types: {
+    type: Map,
+    of: channelSettingsSchema,
+    default: () => ({})
+  },
+  smsNumber: String,
+  webhookUrl: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
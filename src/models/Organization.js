@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A company or team that owns events together. Owners and admins manage the
+// organization and all of its events; members help run them (see services/eventPermissions).
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide organization name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  website: {
+    type: String,
+    default: ''
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member'],
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+// Role of a user in the organization, or null
+organizationSchema.methods.memberRole = function(userId) {
+  const member = this.members.find(m => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const organizerApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationName: {
+    type: String,
+    required: [true, 'Please provide an organization name'],
+    trim: true
+  },
+  contactName: {
+    type: String,
+    required: [true, 'Please provide a contact name'],
+    trim: true
+  },
+  contactEmail: {
+    type: String,
+    required: [true, 'Please provide a contact email'],
+    lowercase: true,
+    trim: true
+  },
+  contactPhone: String,
+  website: String,
+  reason: {
+    type: String,
+    required: [true, 'Please tell us why you want to organize events']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String
+}, {
+  timestamps: true
+});
+
+organizerApplicationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OrganizerApplication', organizerApplicationSchema);
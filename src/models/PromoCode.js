@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Please provide a promo code'],
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off, or amount off per ticket for fixed discounts
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Ticket type names the code applies to; empty means all
+  ticketTypes: [String],
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  validFrom: Date,
+  validUntil: Date,
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ event: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -5,15 +5,46 @@ const ticketSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Unit price actually charged, after discounts
   price: {
     type: Number,
     required: true
   },
+  originalPrice: Number,
   quantity: {
     type: Number,
     required: true,
     min: 1
+  },
+  // Assigned seats for reserved-seating ticket types
+  seats: [{
+    _id: false,
+    seatId: String,
+    section: String,
+    row: String,
+    number: String
+  }]
+});
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  type: {
+    type: String,
+    enum: ['cancellation', 'manual', 'late_payment'],
+    required: true
+  },
+  reason: String,
+  providerRefundId: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
+}, {
+  timestamps: true
 });
 
 const registrationSchema = new mongoose.Schema({
@@ -27,35 +58,122 @@ const registrationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Session booked, for recurring events
+  occurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventOccurrence'
+  },
   tickets: [ticketSchema],
+  originalAmount: Number,
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  promoCode: String,
+  appliedDiscounts: [{
+    source: {
+      type: String,
+      enum: ['promo', 'early_bird', 'group']
+    },
+    label: String,
+    ticketType: String,
+    amount: Number
+  }],
   totalAmount: {
     type: Number,
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
-  paymentIntentId: {
+  refunds: [refundSchema],
+  // Refund owed but not paid out yet; retried until the provider accepts it
+  // (see services/refunds)
+  pendingRefund: {
+    amount: Number,
+    type: {
+      type: String,
+      enum: ['cancellation', 'manual', 'late_payment']
+    },
+    reason: String,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Late payments were never counted in revenue, so their refunds aren't either
+    inRevenue: Boolean,
+    attempts: Number,
+    lastError: String,
+    lockedUntil: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  paymentProvider: {
     type: String
   },
+  paymentIntentId: {
+    type: String,
+    index: true
+  },
   transactionId: {
     type: String
   },
   status: {
     type: String,
-    enum: ['active', 'cancelled', 'transferred'],
+    enum: ['active', 'cancelled', 'transferred', 'expired'],
     default: 'active'
   },
+  // Whether this registration's seats are held, sold or back in the pool
+  inventoryStatus: {
+    type: String,
+    enum: ['held', 'sold', 'released'],
+    default: 'held'
+  },
+  holdExpiresAt: Date,
+  // Ownership chain when a ticket is transferred to another user
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
   qrCode: {
     type: String
   },
+  qrVersion: {
+    type: Number,
+    default: 1
+  },
   checkInStatus: {
     type: Boolean,
     default: false
   },
   checkInTime: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkInHistory: [{
+    action: {
+      type: String,
+      enum: ['check-in', 'undo'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   attendeeInfo: {
     name: String,
     email: String,
@@ -66,4 +184,9 @@ const registrationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+registrationSchema.index({ inventoryStatus: 1, holdExpiresAt: 1 });
+// List pages (see utils/listQuery)
+registrationSchema.index({ user: 1, createdAt: -1 });
+registrationSchema.index({ event: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Registration', registrationSchema);
\ No newline at end of file
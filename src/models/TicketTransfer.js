@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One transfer offer of a registration to another person. Accepted offers form the
+// audit trail of ownership changes; the chain is also linked through
+// Registration.transferredFrom / transferredTo.
+const ticketTransferSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the acceptance token sent to the recipient
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  newRegistration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  }
+}, {
+  timestamps: true
+});
+
+ticketTransferSchema.index({ registration: 1, status: 1 });
+ticketTransferSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TicketTransfer', ticketTransferSchema);
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -37,6 +38,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspensionReason: String,
   registeredEvents: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event'
@@ -45,8 +52,33 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event'
   }],
-  resetPasswordToken: String,
-  resetPasswordExpire: Date
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Self-service deletion waiting out its grace period (see services/accountDeletion)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Set once the account is erased; the document stays, anonymized, for references to it
+  deletedAt: Date,
+  // Secret in the URL of the user's calendar feed
+  calendarToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  }
 }, {
   timestamps: true
 });
@@ -54,15 +86,59 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
+  this.password = await this.constructor.hashPassword(this.password);
 });
 
+userSchema.statics.hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Keep createdEvents in step when events get or change their organizer
+userSchema.statics.moveCreatedEvents = async function(eventIds, from, to) {
+  if (eventIds.length === 0) return;
+  if (from) {
+    await this.updateOne({ _id: from }, { $pull: { createdEvents: { $in: eventIds } } });
+  }
+  if (to) {
+    await this.updateOne({ _id: to }, { $addToSet: { createdEvents: { $each: eventIds } } });
+  }
+};
+
 // Match password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+userSchema.statics.hashToken = hashToken;
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+  return token;
+};
+
+// Generate a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = Date.now() + 30 * 60 * 1000;
+  return token;
+};
+
+// Generate a calendar feed token, replacing any earlier one; only its hash is stored
+userSchema.methods.createCalendarToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.calendarToken = hashToken(token);
+  return token;
+};
+
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
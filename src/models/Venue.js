@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const seatSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  },
+  // Price tier; events map tiers to their ticket types
+  tier: {
+    type: String,
+    required: true
+  },
+  accessible: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const rowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  seats: [seatSchema]
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  rows: [rowSchema]
+}, { _id: false });
+
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide venue name'],
+    trim: true
+  },
+  address: String,
+  city: String,
+  country: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sections: [sectionSchema]
+}, {
+  timestamps: true
+});
+
+// Stable identifier of a seat within the venue, e.g. "Orchestra-A-12"
+venueSchema.statics.seatId = (section, row, seat) => `${section.name}-${row.name}-${seat.number}`;
+
+// Flat list of every seat with its position
+venueSchema.methods.listSeats = function() {
+  const Venue = this.constructor;
+  return this.sections.flatMap(section => section.rows.flatMap(row => row.seats.map(seat => ({
+    seatId: Venue.seatId(section, row, seat),
+    section: section.name,
+    row: row.name,
+    number: seat.number,
+    tier: seat.tier,
+    accessible: seat.accessible
+  }))));
+};
+
+venueSchema.virtual('capacity').get(function() {
+  return this.sections.reduce((sum, section) =>
+    sum + section.rows.reduce((rowSum, row) => rowSum + row.seats.length, 0), 0);
+});
+
+venueSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketType: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // waiting -> offered (seats held for the user) -> claimed, or expired if not claimed in time
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ event: 1, ticketType: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
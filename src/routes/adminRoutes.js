@@ -3,20 +3,41 @@ const router = express.Router();
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Registration = require('../models/Registration');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const AuditLog = require('../models/AuditLog');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/adminValidators');
 const { protect, authorize } = require('../middleware/auth');
+const { logAction } = require('../utils/auditLog');
+const { paginate } = require('../utils/listQuery');
+const { revokeAllRefreshTokens } = require('../utils/tokens');
+const { transition } = require('../services/eventLifecycle');
+const { deletionBlockers, eraseAccount } = require('../services/accountDeletion');
+const { salesSeries, conversionFunnel, checkInSeries, rebuildCounters } = require('../services/analytics');
 
 // @route   GET /api/admin/dashboard
-// @desc    Get admin dashboard stats
+// @desc    Get admin dashboard stats and charts across all events (default: last 30 days)
 // @access  Private (Admin)
-router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
+router.get('/dashboard', protect, authorize('admin'), validate(schemas.dashboard), async (req, res, next) => {
   try {
-    const totalUsers = await User.countDocuments();
+    const totalUsers = await User.countDocuments({ deletedAt: { $exists: false } });
     const totalEvents = await Event.countDocuments();
-    const totalRegistrations = await Registration.countDocuments({ paymentStatus: 'completed' });
+    // Transferred registrations are superseded by their successor and not counted twice
+    const totalRegistrations = await Registration.countDocuments({
+      status: { $ne: 'transferred' },
+      paymentStatus: { $in: ['completed', 'partially_refunded'] }
+    });
 
+    // Net of refunds
     const totalRevenue = await Registration.aggregate([
-      { $match: { paymentStatus: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+      {
+        $match: {
+          status: { $ne: 'transferred' },
+          paymentStatus: { $in: ['completed', 'partially_refunded', 'refunded'] }
+        }
+      },
+      { $group: { _id: null, total: { $sum: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] } } } }
     ]);
 
     const recentEvents = await Event.find()
@@ -28,6 +49,9 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5);
 
+    const { interval, to } = req.query;
+    const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
     res.json({
       stats: {
         totalUsers,
@@ -35,103 +59,316 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
         totalRegistrations,
         totalRevenue: totalRevenue[0]?.total || 0
       },
+      charts: {
+        interval,
+        from,
+        to,
+        sales: await salesSeries({ interval, from, to }),
+        funnel: await conversionFunnel({ from, to }),
+        checkIns: await checkInSeries({ interval: 'day', from, to })
+      },
       recentEvents,
       recentUsers
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/analytics/rebuild
+// @desc    Recompute event counters from registrations and the activity log, for one event or all of them
+// @access  Private (Admin)
+router.post('/analytics/rebuild', protect, authorize('admin'), validate(schemas.rebuildAnalytics), async (req, res, next) => {
+  try {
+    const { eventId } = req.body;
+
+    if (eventId) {
+      const result = await rebuildCounters(eventId);
+      if (!result) {
+        throw ApiError.notFound('Event not found');
+      }
+      return res.json(result);
+    }
+
+    let rebuilt = 0;
+    for await (const event of Event.find().select('_id').cursor()) {
+      await rebuildCounters(event._id);
+      rebuilt += 1;
+    }
+
+    res.json({ message: 'Event counters rebuilt', events: rebuilt });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   PUT /api/admin/events/:id/approve
-// @desc    Approve/Reject event
+// @desc    Approve/Reject a submitted event
 // @access  Private (Admin)
-router.put('/events/:id/approve', protect, authorize('admin'), async (req, res) => {
+router.put('/events/:id/approve', protect, authorize('admin'), validate(schemas.approveEvent), async (req, res, next) => {
   try {
-    const { isApproved } = req.body;
+    const { isApproved, reason } = req.body;
 
     const event = await Event.findById(req.params.id);
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    event.isApproved = isApproved;
-    if (isApproved) {
-      event.status = 'published';
-    } else {
-      event.status = 'pending';
+      throw ApiError.notFound('Event not found');
     }
 
+    transition(event, isApproved ? 'approved' : 'rejected', req.user, reason);
     await event.save();
+    await logAction(req.user, isApproved ? 'event.approve' : 'event.reject', event, { reason });
+
     res.json(event);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/admin/users
 // @desc    Get all users
 // @access  Private (Admin)
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+router.get('/users', protect, authorize('admin'), validate(schemas.listUsers), async (req, res, next) => {
   try {
-    const users = await User.find().sort({ createdAt: -1 });
-    res.json(users);
+    const { role, isSuspended, deleted } = req.query;
+    const query = { deletedAt: { $exists: deleted } };
+
+    if (role) query.role = role;
+    if (isSuspended !== undefined) query.isSuspended = isSuspended;
+
+    res.json(await paginate(User.find(query), req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   DELETE /api/admin/users/:id
-// @desc    Delete user
+// @desc    Erase a user right away: personal data is anonymized, payment records are kept
 // @access  Private (Admin)
-router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/users/:id', protect, authorize('admin'), validate(schemas.userId), async (req, res, next) => {
   try {
+    if (req.params.id === req.user.id) {
+      throw ApiError.badRequest('You cannot delete your own account here');
+    }
+
     const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!user || user.deletedAt) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const blockers = await deletionBlockers(user);
+    if (blockers.length) {
+      throw ApiError.conflict('Resolve these before deleting the user', 'DELETION_BLOCKED', blockers);
     }
 
-    await user.deleteOne();
+    await eraseAccount(user);
+    await logAction(req.user, 'user.delete', user, { role: user.role });
+
     res.json({ message: 'User removed' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change user role
+// @access  Private (Admin)
+router.put('/users/:id/role', protect, authorize('admin'), validate(schemas.changeRole), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user.id) {
+      throw ApiError.badRequest('You cannot change your own role');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    await logAction(req.user, 'user.role-change', user, { from: previousRole, to: role });
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/suspend
+// @desc    Suspend user and sign them out everywhere
+// @access  Private (Admin)
+router.put('/users/:id/suspend', protect, authorize('admin'), validate(schemas.suspendUser), async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      throw ApiError.badRequest('You cannot suspend yourself');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (user.isSuspended) {
+      throw ApiError.conflict('User is already suspended');
+    }
+
+    user.isSuspended = true;
+    user.suspendedAt = new Date();
+    user.suspensionReason = req.body.reason;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllRefreshTokens(user._id, 'suspended');
+    await logAction(req.user, 'user.suspend', user, { reason: req.body.reason });
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reactivate
+// @desc    Lift a user's suspension
+// @access  Private (Admin)
+router.put('/users/:id/reactivate', protect, authorize('admin'), validate(schemas.userId), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (!user.isSuspended) {
+      throw ApiError.conflict('User is not suspended');
+    }
+
+    user.isSuspended = false;
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    await user.save({ validateBeforeSave: false });
+    await logAction(req.user, 'user.reactivate', user);
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/organizer-applications
+// @desc    Get organizer applications
+// @access  Private (Admin)
+router.get('/organizer-applications', protect, authorize('admin'), validate(schemas.listApplications), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    let query = {};
+
+    if (status) query.status = status;
+
+    const applications = OrganizerApplication.find(query)
+      .populate('user', 'name email role')
+      .populate('reviewedBy', 'name email');
+
+    res.json(await paginate(applications, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/organizer-applications/:id/review
+// @desc    Approve or reject an organizer application
+// @access  Private (Admin)
+router.put('/organizer-applications/:id/review', protect, authorize('admin'), validate(schemas.reviewApplication), async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+
+    const application = await OrganizerApplication.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: decision, reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: note },
+      { new: true }
+    );
+    if (!application) {
+      throw ApiError.notFound('Pending application not found');
+    }
+
+    await logAction(req.user, `organizer-application.${decision === 'approved' ? 'approve' : 'reject'}`, application, { note });
+
+    if (decision === 'approved') {
+      const user = await User.findById(application.user);
+      if (user && user.role === 'user') {
+        user.role = 'organizer';
+        await user.save({ validateBeforeSave: false });
+        await logAction(req.user, 'user.role-change', user, {
+          from: 'user',
+          to: 'organizer',
+          application: application._id
+        });
+      }
+    }
+
+    res.json(application);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log of privileged changes
+// @access  Private (Admin)
+router.get('/audit-logs', protect, authorize('admin'), validate(schemas.listAuditLogs), async (req, res, next) => {
+  try {
+    const { action, targetId } = req.query;
+    let query = {};
+
+    if (action) query.action = action;
+    if (targetId) query.targetId = targetId;
+
+    const logs = AuditLog.find(query).populate('actor', 'name email');
+
+    res.json(await paginate(logs, req.query));
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/admin/registrations
 // @desc    Get all registrations
 // @access  Private (Admin)
-router.get('/registrations', protect, authorize('admin'), async (req, res) => {
+router.get('/registrations', protect, authorize('admin'), validate(schemas.listRegistrations), async (req, res, next) => {
   try {
-    const registrations = await Registration.find()
+    const { event, user, status, paymentStatus } = req.query;
+    const query = {};
+
+    if (event) query.event = event;
+    if (user) query.user = user;
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const registrations = Registration.find(query)
       .populate('event', 'title startDate')
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
+      .populate('user', 'name email');
 
-    res.json(registrations);
+    res.json(await paginate(registrations, req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/admin/events
 // @desc    Get all events (including pending approval)
 // @access  Private (Admin)
-router.get('/events', protect, authorize('admin'), async (req, res) => {
+router.get('/events', protect, authorize('admin'), validate(schemas.listEvents), async (req, res, next) => {
   try {
     const { status, isApproved } = req.query;
     let query = {};
 
     if (status) query.status = status;
-    if (isApproved !== undefined) query.isApproved = isApproved === 'true';
+    if (isApproved !== undefined) query.isApproved = isApproved;
 
-    const events = await Event.find(query)
-      .populate('organizer', 'name email')
-      .sort({ createdAt: -1 });
+    const events = Event.find(query).populate('organizer', 'name email');
 
-    res.json(events);
+    res.json(await paginate(events, req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
@@ -1,48 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/authValidators');
 const { protect } = require('../middleware/auth');
+const { sendMail, clientUrl } = require('../services/mailer');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../utils/tokens');
+const { collectAccountData, accountZip } = require('../services/accountExport');
+const { deletionBlockers, scheduleDeletion, cancelDeletion } = require('../services/accountDeletion');
+
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n` +
+      `${clientUrl(`/verify-email?token=${token}`)}\n\nThe link expires in 24 hours.`
+  });
+};
 
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res, next) => {
   try {
-    const { name, email, password, phone, role } = req.body;
+    const { name, email, password, phone } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
-      return res.status(400).json({ message: 'User already exists' });
+      throw ApiError.conflict('User already exists', 'EMAIL_TAKEN');
     }
 
-    // Create user
+    // Create user; elevated roles are only granted by admins
     const user = await User.create({
       name,
       email,
       password,
       phone,
-      role: role || 'user'
+      role: 'user'
     });
 
     if (user) {
+      await sendVerificationEmail(user);
+      const tokens = await issueTokenPair(user, req);
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isVerified: user.isVerified,
+        ...tokens
       });
     }
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
@@ -50,67 +79,300 @@ router.post('/login', async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid credentials');
     }
 
     // Check password
     const isMatch = await user.matchPassword(password);
     
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid credentials');
     }
 
+    if (user.isSuspended) {
+      throw new ApiError(403, 'ACCOUNT_SUSPENDED', 'Your account has been suspended');
+    }
+
+    const tokens = await issueTokenPair(user, req);
+
     res.json({
       _id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      isVerified: user.isVerified,
+      ...tokens
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new token pair
+// @access  Public
+router.post('/refresh', validate(schemas.refreshToken), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      throw new ApiError(401, 'INVALID_REFRESH_TOKEN', result.error);
+    }
+
+    res.json(result.tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the given refresh token (current device)
+// @access  Public
+router.post('/logout', validate(schemas.refreshToken), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke all refresh tokens of the current user (all devices)
+// @access  Private
+router.post('/logout-all', protect, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllRefreshTokens(req.user.id);
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/request
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email/request', protect, async (req, res, next) => {
+  try {
+    if (req.user.isVerified) {
+      throw ApiError.conflict('Email already verified');
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/confirm
+// @desc    Confirm email address with the emailed token
+// @access  Public
+router.post('/verify-email/confirm', validate(schemas.confirmEmail), async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+    if (!user) {
+      throw ApiError.badRequest('Invalid or expired verification token', 'INVALID_TOKEN');
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same answer either way, so the endpoint can't be used to probe for accounts
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nYou can choose a new password here:\n` +
+          `${clientUrl(`/reset-password/${token}`)}\n\nThe link expires in 30 minutes. ` +
+          'If you did not ask for this, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post('/reset-password/:token', validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+    if (!user) {
+      throw ApiError.badRequest('Invalid or expired reset token', 'INVALID_TOKEN');
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // The reset link proves control of the mailbox
+    user.isVerified = true;
+    await user.save();
+
+    // Sign out every device that may have used the old password
+    await revokeAllRefreshTokens(user._id, 'password-reset');
+
+    res.json({ message: 'Password reset successfully, please log in' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protect, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     res.json(user);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', protect, async (req, res) => {
+router.put('/profile', protect, validate(schemas.updateProfile), async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
     if (user) {
       user.name = req.body.name || user.name;
-      user.email = req.body.email || user.email;
+      const emailChanged = Boolean(req.body.email) && req.body.email.toLowerCase() !== user.email;
+      if (emailChanged) {
+        // A new address has to be verified again
+        user.email = req.body.email;
+        user.isVerified = false;
+      }
       user.phone = req.body.phone || user.phone;
       user.profileImage = req.body.profileImage || user.profileImage;
 
       const updatedUser = await user.save();
 
+      if (emailChanged) {
+        await sendVerificationEmail(updatedUser);
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         phone: updatedUser.phone,
         role: updatedUser.role,
+        isVerified: updatedUser.isVerified,
         profileImage: updatedUser.profileImage
       });
     } else {
-      res.status(404).json({ message: 'User not found' });
+      throw ApiError.notFound('User not found');
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything stored about the account (JSON, or ZIP with ticket QR codes)
+// @access  Private
+router.get('/me/export', protect, validate(schemas.exportAccount), async (req, res, next) => {
+  try {
+    const data = await collectAccountData(req.user);
+    const filename = `account-${req.user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+    res.set('Cache-Control', 'private, no-store');
+    if (req.query.format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      res.type('application/zip');
+      res.send(accountZip(data));
+    } else {
+      res.attachment(`${filename}.json`);
+      res.json(data);
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/me/deletion
+// @desc    Request deletion of the account; it is erased after a grace period
+// @access  Private
+router.post('/me/deletion', protect, validate(schemas.requestDeletion), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.matchPassword(req.body.password))) {
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Password is incorrect');
+    }
+    if (user.deletionScheduledFor) {
+      throw ApiError.conflict('Account deletion is already scheduled', 'DELETION_SCHEDULED');
+    }
+
+    const blockers = await deletionBlockers(user);
+    if (blockers.length) {
+      throw ApiError.conflict('Resolve these before deleting your account', 'DELETION_BLOCKED', blockers);
     }
+
+    const scheduledFor = await scheduleDeletion(user);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your account will be deleted',
+      text: `Hi ${user.name},\n\nYour account and personal data will be deleted on ${scheduledFor.toUTCString()}.\n` +
+        'Changed your mind? Sign in and cancel the deletion before then.\n\n' +
+        `Download a copy of your data: ${clientUrl('/account/export')}`
+    });
+
+    res.status(202).json({ message: 'Account deletion scheduled', deletionScheduledFor: scheduledFor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/me/deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.delete('/me/deletion', protect, async (req, res, next) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      throw ApiError.notFound('No account deletion is scheduled');
+    }
+
+    await cancelDeletion(req.user);
+
+    res.json({ message: 'Account deletion cancelled' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
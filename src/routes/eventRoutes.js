@@ -1,12 +1,176 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
-const { protect, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Registration = require('../models/Registration');
+const PromoCode = require('../models/PromoCode');
+const Job = require('../models/Job');
+const Venue = require('../models/Venue');
+const EventSeat = require('../models/EventSeat');
+const EventOccurrence = require('../models/EventOccurrence');
+const EventInvitation = require('../models/EventInvitation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const TicketTransfer = require('../models/TicketTransfer');
+const Organization = require('../models/Organization');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/eventValidators');
+const { protect, authorize, requireVerified } = require('../middleware/auth');
+const { verifyTicketPayload } = require('../utils/ticketQr');
+const { promoteWaitlistInBackground, waitlistSummary } = require('../services/waitlist');
+const { transition, allowedTransitions, needsReReview } = require('../services/eventLifecycle');
+const { notifyInBackground, notifyAttendeesInBackground } = require('../services/notifications');
+const templates = require('../services/notifications/templates');
+const { sendMail } = require('../services/mailer');
+const { exportQuery, streamCsv, streamXlsx } = require('../services/registrationExport');
+const { rowsFromCsv, importEvents } = require('../services/eventImport');
+const {
+  trackActivity,
+  salesSeries,
+  conversionFunnel,
+  checkInSeries,
+  rebuildCounters
+} = require('../services/analytics');
+const { generateSeats, seatsInUse, seatAvailability } = require('../services/seating');
+const {
+  isRecurring,
+  expandRecurrence,
+  formatRRule,
+  syncOccurrences,
+  updateSeriesSpan
+} = require('../services/recurrence');
+const { eventCalendar, eventTimezone } = require('../services/calendar');
+const { SORTS, searchEvents, withinRadius } = require('../services/eventSearch');
+const { paginate, parseSort } = require('../utils/listQuery');
+const { geocodeEvent } = require('../services/geocoding');
+const { escapeRegex } = require('../utils/regex');
+const { logAction } = require('../utils/auditLog');
+const { ORGANIZATION_MEMBERS, authorizeEvent, eventRole } = require('../services/eventPermissions');
+const { enqueueJob, retryFailedJobs } = require('../jobs/jobRunner');
+const { JOB_TYPE: CANCELLATION_JOB } = require('../jobs/eventCancellation');
+
+// How long a collaborator invitation can be accepted
+const INVITATION_DAYS = Number(process.env.INVITATION_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Edits attendees are notified about
+const ATTENDEE_FIELDS = ['title', 'startDate', 'endDate', 'location'];
+
+// Work out an edit of the ticket types: which existing ones change, which are new
+// and which go away, plus the resulting list for validation. Existing types are matched
+// by _id (or name); a type can't shrink below what is already sold or held, and once it
+// has any it can be neither removed nor renamed (registrations, sessions and the
+// inventory counters refer to it by name). These checks run on the event as read, for
+// clear errors; applyTicketTypes repeats them atomically.
+const planTicketTypes = (current, edited) => {
+  const match = (tt) => tt._id
+    ? current.find(c => c._id.toString() === tt._id)
+    : current.find(c => c.name === tt.name);
+
+  for (const tt of edited) {
+    if (tt._id && !match(tt)) {
+      throw ApiError.notFound(`Ticket type not found: ${tt._id}`);
+    }
+  }
+
+  const kept = edited.map(match).filter(Boolean);
+  const removed = current.filter(c => !kept.includes(c));
+  const inUse = removed.filter(c => c.sold + c.held > 0);
+  if (inUse.length) {
+    throw ticketTypeInUse(inUse.map(c => c.name));
+  }
+
+  const changed = [];
+  const added = [];
+  const types = [];
+  edited.forEach((tt, index) => {
+    const existing = match(tt);
+    if (!existing) {
+      added.push(tt);
+      types.push(tt);
+      return;
+    }
+    const taken = existing.sold + existing.held;
+    if (tt.quantity < taken) {
+      throw quantityTooLow(tt, index, taken);
+    }
+    const renamed = tt.name !== existing.name;
+    if (renamed && taken > 0) {
+      throw ticketTypeInUse([existing.name], 'renamed');
+    }
+    changed.push({ _id: existing._id, tt, index, renamed });
+    types.push({ ...existing.toObject(), ...tt, _id: existing._id });
+  });
+
+  return { changed, added, removed, types };
+};
+
+const ticketTypeInUse = (names, action = 'removed') => ApiError.conflict(
+  `Ticket types with sold or held tickets can't be ${action}: ${names.join(', ')}`, 'TICKET_TYPE_IN_USE');
+
+const quantityTooLow = (tt, index, taken) => ApiError.validation([{
+  field: `body.ticketTypes.${index}.quantity`,
+  message: taken === undefined
+    ? `Quantity of ${tt.name} can't be lower than the tickets already sold or held`
+    : `Quantity of ${tt.name} can't be lower than the ${taken} tickets already sold or held`,
+  code: 'number.min'
+}]);
+
+// Sold plus held of one ticket type, inside an aggregation expression
+const takenExpr = (typeId) => ({
+  $let: {
+    vars: {
+      type: { $arrayElemAt: [{ $filter: { input: '$ticketTypes', cond: { $eq: ['$$this._id', typeId] } } }, 0] }
+    },
+    in: { $add: [{ $ifNull: ['$$type.sold', 0] }, { $ifNull: ['$$type.held', 0] }] }
+  }
+});
+
+// Write a ticket type plan with one guarded update per type. sold/held are only ever
+// changed by inventory's atomic $inc, so they are never written from the read here.
+const applyTicketTypes = async (eventId, { changed, added, removed }) => {
+  for (const { _id, tt, index, renamed } of changed) {
+    const set = {};
+    for (const field of ['name', 'price', 'quantity', 'description']) {
+      if (tt[field] !== undefined) set[`ticketTypes.$[type].${field}`] = tt[field];
+    }
+
+    const guard = { $gte: [tt.quantity, takenExpr(_id)] };
+    const result = await Event.updateOne(
+      {
+        _id: eventId,
+        'ticketTypes._id': _id,
+        $expr: renamed ? { $and: [guard, { $eq: [takenExpr(_id), 0] }] } : guard
+      },
+      { $set: set },
+      { arrayFilters: [{ 'type._id': _id }] }
+    );
+    if (result.matchedCount === 0) {
+      throw renamed ? ticketTypeInUse([tt.name], 'renamed') : quantityTooLow(tt, index);
+    }
+  }
+
+  for (const type of removed) {
+    const result = await Event.updateOne(
+      { _id: eventId, ticketTypes: { $elemMatch: { _id: type._id, sold: 0, held: 0 } } },
+      { $pull: { ticketTypes: { _id: type._id } } }
+    );
+    if (result.matchedCount === 0) {
+      throw ticketTypeInUse([type.name]);
+    }
+  }
+
+  if (added.length) {
+    await Event.updateOne({ _id: eventId }, { $push: { ticketTypes: { $each: added } } });
+  }
+};
 
 // @route   GET /api/events
-// @desc    Get all events with filters
+// @desc    Get all events with filters, radius search and facet counts
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.listEvents), async (req, res, next) => {
   try {
     const { 
       category, 
@@ -16,190 +180,1610 @@ router.get('/', async (req, res) => {
       minPrice, 
       maxPrice, 
       search,
-      status,
-      page = 1,
-      limit = 12
+      organization,
+      near,
+      radius,
+      cursor,
+      limit,
+      fields
     } = req.query;
+    const sort = req.query.sort || parseSort(search ? 'relevance' : near ? 'distance' : 'date', SORTS);
+
+    if (sort.field === 'distance' && !near) {
+      throw ApiError.badRequest('Sorting by distance needs near=lat,lng');
+    }
+    if (sort.field === 'score' && !search) {
+      throw ApiError.badRequest('Sorting by relevance needs a search');
+    }
 
     let query = { status: 'published', isApproved: true };
 
     // Apply filters
     if (category) query.category = category;
-    if (city) query['location.city'] = new RegExp(city, 'i');
-    if (startDate) query.startDate = { $gte: new Date(startDate) };
-    if (endDate) query.endDate = { $lte: new Date(endDate) };
+    if (city) query['location.city'] = new RegExp(escapeRegex(city), 'i');
+    if (startDate) query.startDate = { $gte: startDate };
+    if (endDate) query.endDate = { $lte: endDate };
     if (search) query.$text = { $search: search };
+    if (organization) query.organization = organization;
+    if (near) query['location.geo'] = withinRadius(near, radius);
 
     // Price filter
-    if (minPrice || maxPrice) {
+    if (minPrice !== undefined || maxPrice !== undefined) {
       query['ticketTypes.price'] = {};
-      if (minPrice) query['ticketTypes.price'].$gte = Number(minPrice);
-      if (maxPrice) query['ticketTypes.price'].$lte = Number(maxPrice);
+      if (minPrice !== undefined) query['ticketTypes.price'].$gte = minPrice;
+      if (maxPrice !== undefined) query['ticketTypes.price'].$lte = maxPrice;
     }
 
-    const events = await Event.find(query)
-      .populate('organizer', 'name email')
-      .sort({ startDate: 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const count = await Event.countDocuments(query);
+    const { data, pageInfo, facets } = await searchEvents(query, { near, sort, cursor, limit, fields });
 
-    res.json({
-      events,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
-    });
+    res.json({ data, pageInfo: { ...pageInfo, sort: sort.key }, facets });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/events/:id
 // @desc    Get single event
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.eventId), async (req, res, next) => {
   try {
+    // Attendees stay private: their registrations carry ticket codes and contact data
     const event = await Event.findById(req.params.id)
+      .select('-attendees')
       .populate('organizer', 'name email phone profileImage')
-      .populate({
-        path: 'attendees',
-        populate: { path: 'user', select: 'name email' }
-      });
+      .populate('organization', 'name description website');
 
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
     }
 
     // Increment views
     event.analytics.views += 1;
     await event.save();
+    trackActivity('view', { event, user: req.user });
 
     res.json(event);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/calendar.ics
+// @desc    Add-to-calendar file for the event, its sessions and schedule
+// @access  Public
+router.get('/:id/calendar.ics', validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      status: { $in: ['published', 'completed', 'cancelled'] }
+    });
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    const occurrences = isRecurring(event)
+      ? await EventOccurrence.find({ event: event._id }).sort({ startDate: 1 })
+      : [];
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="event-${event._id}.ics"`,
+      'Cache-Control': 'public, max-age=300'
+    });
+    res.send(eventCalendar(event, occurrences));
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   POST /api/events
 // @desc    Create new event
 // @access  Private (Organizer/Admin)
-router.post('/', protect, authorize('organizer', 'admin'), async (req, res) => {
+router.post('/', protect, authorize('organizer', 'admin'), validate(schemas.createEvent), async (req, res, next) => {
   try {
     const eventData = {
       ...req.body,
       organizer: req.user.id
     };
 
-    const event = await Event.create(eventData);
+    if (eventData.organization) {
+      const organization = await Organization.findById(eventData.organization);
+      if (!organization) {
+        throw ApiError.notFound('Organization not found');
+      }
+      if (!organization.memberRole(req.user.id)) {
+        throw ApiError.forbidden('You are not a member of this organization');
+      }
+    }
+
+    const event = new Event(eventData);
+    await geocodeEvent(event);
+    await event.save();
+    await User.moveCreatedEvents([event._id], null, event.organizer);
 
     res.status(201).json(event);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  }
+});
+
+// @route   POST /api/events/import
+// @desc    Create events in bulk from CSV (text/csv) or JSON ({ events: [...] } or an array)
+// @access  Private (Organizer/Admin)
+router.post('/import', protect, authorize('organizer', 'admin'), validate(schemas.importEvents), async (req, res, next) => {
+  try {
+    let rows;
+    let parseErrors = [];
+    if (typeof req.body === 'string') {
+      ({ rows, errors: parseErrors } = rowsFromCsv(req.body));
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body?.events;
+    }
+
+    if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object')) {
+      throw ApiError.badRequest('Send a CSV file or a JSON array of events', 'INVALID_IMPORT');
+    }
+
+    const { dryRun, atomic } = req.query;
+    const report = await importEvents(rows, req.user.id, { dryRun, atomic, parseErrors });
+
+    if (!dryRun && report.created.length === 0) {
+      throw ApiError.validation(report.errors, 'No events were imported');
+    }
+
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   PUT /api/events/:id
 // @desc    Update event
+// @access  Private (Organizer/Co-organizer/Admin)
+router.put('/:id', protect, validate(schemas.updateEvent), async (req, res, next) => {
+  try {
+    let event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const { ticketTypes, ...fields } = req.body;
+    const recurring = isRecurring(event);
+    if (recurring && (fields.startDate || fields.endDate)) {
+      throw ApiError.badRequest('Dates of a recurring event follow its sessions; use PUT /api/events/:id/recurrence',
+        'RECURRING_EVENT');
+    }
+
+    let plan = null;
+    let removedTypes = [];
+    if (ticketTypes) {
+      plan = planTicketTypes(event.ticketTypes, ticketTypes);
+      // Renamed types leave their old name behind too
+      removedTypes = event.ticketTypes.map(tt => tt.name).filter(name => !ticketTypes.some(tt => tt.name === name));
+
+      // Sessions count their own sales, which the event-level check doesn't see
+      if (recurring && removedTypes.length) {
+        const inUse = await EventOccurrence.exists({
+          event: event._id,
+          ticketTypes: { $elemMatch: { name: { $in: removedTypes }, $or: [{ sold: { $gt: 0 } }, { held: { $gt: 0 } }] } }
+        });
+        if (inUse) {
+          throw ticketTypeInUse(removedTypes, 'removed or renamed');
+        }
+      }
+    }
+
+    event.set(fields);
+    if (event.isModified('location')) {
+      await geocodeEvent(event);
+    }
+
+    // Attendees hear about changes to when and where the event happens
+    const changes = ATTENDEE_FIELDS.filter(field => event.isModified(field));
+    if (event.isModified('startDate')) {
+      event.remindersSent = undefined;
+    }
+
+    if (needsReReview(event)) {
+      transition(event, 'submitted', null, 'Key details changed, needs another review');
+    }
+
+    // Validate the whole edit before anything is written
+    if (plan) {
+      event.ticketTypes = plan.types;
+      await event.validate();
+      // Ticket types are written by applyTicketTypes, never by save
+      event.unmarkModified('ticketTypes');
+      await applyTicketTypes(event._id, plan);
+    }
+
+    await event.save();
+    if (plan) {
+      event = await Event.findById(event._id).populate(ORGANIZATION_MEMBERS);
+    }
+
+    // New ticket types are added to every session; existing sessions keep their own quantities
+    if (recurring && ticketTypes) {
+      await EventOccurrence.updateMany({ event: event._id }, { $pull: { ticketTypes: { name: { $in: removedTypes } } } });
+      await syncOccurrences(event);
+    }
+
+    // Raised quantities or capacity may free seats for the waitlist
+    promoteWaitlistInBackground(event._id);
+
+    if (changes.length > 0) {
+      notifyAttendeesInBackground(event, 'event.updated', { changes });
+    }
+
+    res.json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/status
+// @desc    Move event through its lifecycle (submit, publish, ...)
+// @access  Private (Organizer/Co-organizer/Admin)
+router.post('/:id/status', protect, validate(schemas.changeStatus), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    // Cancelling has to refund and notify attendees
+    if (req.body.status === 'cancelled') {
+      throw ApiError.badRequest('Use POST /api/events/:id/cancel to cancel an event', 'USE_CANCEL_ENDPOINT');
+    }
+
+    transition(event, req.body.status, req.user, req.body.reason);
+    await event.save();
+
+    res.json({ ...event.toObject(), allowedTransitions: allowedTransitions(event, req.user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/cancel
+// @desc    Cancel event; registrations are cancelled, refunded and notified in the background
 // @access  Private (Organizer/Admin)
-router.put('/:id', protect, authorize('organizer', 'admin'), async (req, res) => {
+router.post('/:id/cancel', protect, validate(schemas.cancelEvent), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:cancel');
+
+    transition(event, 'cancelled', req.user, req.body.reason);
+    await event.save();
+
+    const job = await enqueueJob(CANCELLATION_JOB, {
+      event: event._id,
+      createdBy: req.user._id,
+      params: { reason: req.body.reason }
+    });
+
+    res.status(202).json({ message: 'Event cancelled, processing registrations', job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/cancellation
+// @desc    Progress and summary of the event's cancellation
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/cancellation', protect, validate(schemas.eventId), async (req, res, next) => {
   try {
-    let event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
 
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
     }
 
-    // Check ownership
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    authorizeEvent(event, req.user, 'sales:view');
+
+    // Sessions of a recurring event are cancelled by their own jobs
+    const job = await Job.findOne({ event: event._id, type: CANCELLATION_JOB, 'params.occurrence': { $exists: false } })
+      .sort({ createdAt: -1 });
+    if (!job) {
+      throw ApiError.notFound('Event has not been cancelled');
     }
 
-    event = await Event.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    res.json({
+      _id: job._id,
+      status: job.status,
+      progress: job.progress,
+      counters: job.counters,
+      failures: job.failures,
+      summary: job.summary,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(event);
+// @route   POST /api/events/:id/cancellation/retry
+// @desc    Run the event's failed cancellation jobs (its own and its sessions') again
+// @access  Private (Organizer/Admin)
+router.post('/:id/cancellation/retry', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:cancel');
+
+    const queued = await retryFailedJobs({ event: event._id, type: CANCELLATION_JOB });
+    if (queued === 0) {
+      throw ApiError.notFound('No failed cancellation to retry');
+    }
+
+    res.status(202).json({ message: 'Cancellation queued again', jobs: queued });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   DELETE /api/events/:id
 // @desc    Delete event
 // @access  Private (Organizer/Admin)
-router.delete('/:id', protect, authorize('organizer', 'admin'), async (req, res) => {
+router.delete('/:id', protect, validate(schemas.eventId), async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
 
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:cancel');
+
+    // Paid tickets must be refunded through a cancellation first
+    const paid = await Registration.countDocuments({
+      event: event._id,
+      status: { $ne: 'transferred' },
+      paymentStatus: { $in: ['completed', 'partially_refunded'] }
+    });
+    if (paid > 0) {
+      throw ApiError.conflict(`Event has ${paid} paid registration(s); cancel it instead of deleting`,
+        'EVENT_HAS_PAID_REGISTRATIONS');
     }
 
-    // Check ownership
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    // Held tickets may still be paid for, and owed refunds need the event to settle
+    const open = await Registration.countDocuments({
+      event: event._id,
+      $or: [
+        { status: 'active', inventoryStatus: 'held' },
+        { 'pendingRefund.amount': { $gt: 0 } }
+      ]
+    });
+    if (open > 0) {
+      throw ApiError.conflict(`Event has ${open} registration(s) awaiting payment or refund; cancel it instead of deleting`,
+        'EVENT_HAS_OPEN_REGISTRATIONS');
     }
 
+    // Registrations stay as the record of past payments; everything else goes with the event
     await event.deleteOne();
+    await User.moveCreatedEvents([event._id], event.organizer, null);
+    await EventSeat.deleteMany({ event: event._id });
+    await EventOccurrence.deleteMany({ event: event._id });
+    await PromoCode.deleteMany({ event: event._id });
+    await WaitlistEntry.deleteMany({ event: event._id });
+    await EventInvitation.deleteMany({ event: event._id });
+    await TicketTransfer.deleteMany({ event: event._id });
 
     res.json({ message: 'Event removed' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/events/organizer/my-events
 // @desc    Get organizer's events
 // @access  Private
-router.get('/organizer/my-events', protect, async (req, res) => {
+router.get('/organizer/my-events', protect, validate(schemas.myEvents), async (req, res, next) => {
   try {
-    const events = await Event.find({ organizer: req.user.id })
-      .sort({ createdAt: -1 });
+    const query = { organizer: req.user.id };
+    if (req.query.status) query.status = req.query.status;
 
-    res.json(events);
+    res.json(await paginate(Event.find(query), req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
-// @route   GET /api/events/:id/analytics
-// @desc    Get event analytics
-// @access  Private (Organizer/Admin)
-router.get('/:id/analytics', protect, authorize('organizer', 'admin'), async (req, res) => {
+// @route   GET /api/events/organizer/collaborations
+// @desc    Events the user helps run as a collaborator
+// @access  Private
+router.get('/organizer/collaborations', protect, validate(schemas.myCollaborations), async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('attendees');
+    const query = req.query.role
+      ? { collaborators: { $elemMatch: { user: req.user._id, role: req.query.role } } }
+      : { 'collaborators.user': req.user._id };
+
+    const page = await paginate(
+      Event.find(query).populate('organizer', 'name email'),
+      req.query
+    );
+    page.data = page.data.map(event => ({ ...event.toJSON(), yourRole: eventRole(event, req.user) }));
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/seats
+// @desc    Live seat map with availability for reserved seating
+// @access  Public
+router.get('/:id/seats', validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).select('ticketTypes seating');
 
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
     }
 
-    // Check ownership
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (!event.seating?.venue) {
+      throw ApiError.notFound('Event has no reserved seating', 'NO_SEATING');
     }
 
-    const analytics = {
-      totalViews: event.analytics.views,
-      totalTicketsSold: event.analytics.totalTicketsSold,
-      totalRevenue: event.analytics.totalRevenue,
-      attendeeCount: event.attendees.length,
-      ticketTypeBreakdown: event.ticketTypes.map(tt => ({
-        name: tt.name,
-        sold: tt.sold,
-        remaining: tt.quantity - tt.sold,
-        revenue: tt.sold * tt.price
-      })),
-      capacity: event.totalCapacity,
-      occupancyRate: ((event.analytics.totalTicketsSold / event.totalCapacity) * 100).toFixed(2)
+    res.json({ venue: event.seating.venue, ...await seatAvailability(event) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/seating
+// @desc    Attach a venue seat map, selling each price tier as one ticket type
+// @access  Private (Organizer/Co-organizer/Admin)
+router.put('/:id/seating', protect, validate(schemas.attachSeating), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    if (['completed', 'cancelled'].includes(event.status)) {
+      throw ApiError.conflict(`Event is ${event.status}`, 'INVALID_STATUS');
+    }
+
+    if (isRecurring(event)) {
+      throw ApiError.conflict('Recurring events can\'t use reserved seating', 'RECURRING_EVENT');
+    }
+
+    const { venueId, tiers } = req.body;
+    const venue = await Venue.findById(venueId);
+    if (!venue) {
+      throw ApiError.notFound('Venue not found');
+    }
+    if (venue.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      throw ApiError.forbidden('You can only use your own venues');
+    }
+
+    if (await seatsInUse(event._id)) {
+      throw ApiError.conflict('Seats have already been held or sold', 'SEATING_IN_USE');
+    }
+
+    const venueTiers = new Set(venue.listSeats().map(seat => seat.tier));
+    for (const { tier, ticketType } of tiers) {
+      if (!venueTiers.has(tier)) {
+        throw ApiError.badRequest(`Venue has no seats in tier ${tier}`);
+      }
+      const tt = event.ticketTypes.find(t => t.name === ticketType);
+      if (!tt) {
+        throw ApiError.badRequest(`Invalid ticket type: ${ticketType}`);
+      }
+      if (tt.sold + tt.held > 0) {
+        throw ApiError.conflict(`Ticket type ${ticketType} already has general admission sales`, 'TICKET_TYPE_IN_USE');
+      }
+    }
+
+    // Seated ticket types hold exactly as many tickets as there are seats
+    const counts = await generateSeats(event, venue, tiers);
+    for (const { ticketType } of tiers) {
+      event.ticketTypes.find(t => t.name === ticketType).quantity = counts[ticketType] || 0;
+    }
+    event.seating = { venue: venue._id, tiers };
+    await event.save();
+
+    res.json({ seating: event.seating, ticketTypes: event.ticketTypes, seats: counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/seating
+// @desc    Go back to general admission
+// @access  Private (Organizer/Co-organizer/Admin)
+router.delete('/:id/seating', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    if (await seatsInUse(event._id)) {
+      throw ApiError.conflict('Seats have already been held or sold', 'SEATING_IN_USE');
+    }
+
+    await EventSeat.deleteMany({ event: event._id });
+    event.seating = undefined;
+    await event.save();
+
+    res.json({ message: 'Reserved seating removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/recurrence
+// @desc    Make the event a recurring series, or change its rule, and generate its sessions
+// @access  Private (Organizer/Co-organizer/Admin)
+router.put('/:id/recurrence', protect, validate(schemas.setRecurrence), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    if (['completed', 'cancelled'].includes(event.status)) {
+      throw ApiError.conflict(`Event is ${event.status}`, 'INVALID_STATUS');
+    }
+
+    if (event.seating?.venue) {
+      throw ApiError.conflict('Events with reserved seating can\'t recur', 'SEATED_EVENT');
+    }
+
+    // Existing tickets were sold for the one-off dates
+    if (!isRecurring(event) && await Registration.exists({ event: event._id, status: 'active' })) {
+      throw ApiError.conflict('Event already has registrations', 'EVENT_HAS_REGISTRATIONS');
+    }
+
+    const current = event.recurrence;
+    const rule = {
+      ...req.body,
+      dtstart: req.body.dtstart || current?.dtstart || event.startDate,
+      durationMinutes: req.body.durationMinutes || current?.durationMinutes ||
+        Math.round((event.endDate - event.startDate) / 60000)
     };
 
-    res.json(analytics);
+    if (expandRecurrence(rule, rule.dtstart, eventTimezone(event)).length === 0) {
+      throw ApiError.badRequest('Recurrence rule produces no sessions', 'EMPTY_RECURRENCE');
+    }
+
+    event.recurrence = rule;
+    event.remindersSent = undefined;
+    await event.save();
+
+    const report = await syncOccurrences(event);
+    const occurrences = await EventOccurrence.find({ event: event._id }).sort({ startDate: 1 });
+
+    res.json({
+      recurrence: event.recurrence,
+      rrule: formatRRule(event.recurrence),
+      ...report,
+      occurrences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/recurrence
+// @desc    Turn a series without sales back into a one-off event on its first date
+// @access  Private (Organizer/Co-organizer/Admin)
+router.delete('/:id/recurrence', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    if (!isRecurring(event)) {
+      throw ApiError.badRequest('Event is not recurring', 'NOT_RECURRING');
+    }
+
+    const sold = await EventOccurrence.exists({
+      event: event._id,
+      ticketTypes: { $elemMatch: { $or: [{ sold: { $gt: 0 } }, { held: { $gt: 0 } }] } }
+    });
+    if (sold) {
+      throw ApiError.conflict('Sessions already have sold or held tickets', 'SERIES_IN_USE');
+    }
+
+    const { dtstart, durationMinutes } = event.recurrence;
+    await EventOccurrence.deleteMany({ event: event._id });
+    event.recurrence = undefined;
+    event.startDate = dtstart;
+    event.endDate = new Date(dtstart.getTime() + durationMinutes * 60 * 1000);
+    await event.save();
+
+    res.json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/occurrences
+// @desc    Sessions of a recurring event with availability, upcoming by default
+// @access  Public
+router.get('/:id/occurrences', validate(schemas.listOccurrences), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).select('ticketTypes recurrence');
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    if (!isRecurring(event)) {
+      throw ApiError.notFound('Event is not recurring', 'NOT_RECURRING');
+    }
+
+    const { from, to, includeCancelled } = req.query;
+    const query = { event: event._id, startDate: { $gte: from || new Date() } };
+    if (to) query.startDate.$lte = to;
+    if (!includeCancelled) query.status = 'scheduled';
+
+    const { data, pageInfo } = await paginate(EventOccurrence.find(query), req.query);
+
+    const prices = new Map(event.ticketTypes.map(tt => [tt.name, tt.price]));
+    res.json({
+      rrule: formatRRule(event.recurrence),
+      data: data.map(occurrence => ({
+        _id: occurrence._id,
+        startDate: occurrence.startDate,
+        endDate: occurrence.endDate,
+        status: occurrence.status,
+        rescheduled: Boolean(occurrence.rescheduledAt),
+        ticketTypes: occurrence.ticketTypes.map(tt => ({
+          name: tt.name,
+          price: prices.get(tt.name),
+          available: Math.max(tt.quantity - tt.sold - tt.held, 0)
+        }))
+      })),
+      pageInfo
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/occurrences/:occurrenceId
+// @desc    One session with its inventory and cancellation progress
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/occurrences/:occurrenceId', protect, validate(schemas.occurrenceId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const occurrence = await EventOccurrence.findOne({ _id: req.params.occurrenceId, event: event._id })
+      .populate('cancellationJob', 'status progress counters summary error startedAt finishedAt');
+
+    if (!occurrence) {
+      throw ApiError.notFound('Session not found');
+    }
+
+    res.json(occurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/occurrences/:occurrenceId
+// @desc    Reschedule one session or change its capacity, leaving the rest of the series alone
+// @access  Private (Organizer/Co-organizer/Admin)
+router.put('/:id/occurrences/:occurrenceId', protect, validate(schemas.updateOccurrence), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const occurrence = await EventOccurrence.findOne({ _id: req.params.occurrenceId, event: event._id });
+    if (!occurrence) {
+      throw ApiError.notFound('Session not found');
+    }
+    if (occurrence.status === 'cancelled') {
+      throw ApiError.conflict('Session is cancelled', 'INVALID_STATUS');
+    }
+
+    const { startDate, endDate, totalCapacity, ticketTypes } = req.body;
+    const taken = (tt) => tt.sold + tt.held;
+
+    if (totalCapacity !== undefined) {
+      const used = occurrence.ticketTypes.reduce((sum, tt) => sum + taken(tt), 0);
+      if (totalCapacity < used) {
+        throw ApiError.validation([{
+          field: 'body.totalCapacity',
+          message: `Capacity can't be lower than the ${used} tickets already sold or held`,
+          code: 'number.min'
+        }]);
+      }
+      occurrence.totalCapacity = totalCapacity;
+    }
+
+    (ticketTypes || []).forEach(({ name, quantity }, i) => {
+      const tt = occurrence.ticketTypes.find(t => t.name === name);
+      if (!tt) {
+        throw ApiError.badRequest(`Invalid ticket type: ${name}`);
+      }
+      if (quantity < taken(tt)) {
+        throw ApiError.validation([{
+          field: `body.ticketTypes.${i}.quantity`,
+          message: `Quantity of ${name} can't be lower than the ${taken(tt)} tickets already sold or held`,
+          code: 'number.min'
+        }]);
+      }
+      tt.quantity = quantity;
+    });
+
+    const previousStart = occurrence.startDate;
+    const rescheduled = startDate && (startDate.getTime() !== occurrence.startDate.getTime() ||
+      endDate.getTime() !== occurrence.endDate.getTime());
+    if (rescheduled) {
+      occurrence.startDate = startDate;
+      occurrence.endDate = endDate;
+      occurrence.rescheduledAt = new Date();
+      occurrence.remindersSent = undefined;
+    }
+
+    await occurrence.save();
+
+    if (rescheduled) {
+      await updateSeriesSpan(event._id);
+      notifyAttendeesInBackground(event, 'occurrence.rescheduled', { occurrence, previousStart },
+        { occurrence: occurrence._id });
+    }
+
+    res.json(occurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/occurrences/:occurrenceId/cancel
+// @desc    Cancel one session; its registrations are cancelled, refunded and notified in the background
+// @access  Private (Organizer/Admin)
+router.post('/:id/occurrences/:occurrenceId/cancel', protect, validate(schemas.cancelOccurrence), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:cancel');
+
+    // Flip the status atomically so a session is only cancelled once
+    const occurrence = await EventOccurrence.findOneAndUpdate(
+      { _id: req.params.occurrenceId, event: event._id, status: 'scheduled' },
+      { status: 'cancelled', cancelledAt: new Date(), cancellationReason: req.body.reason },
+      { new: true }
+    );
+    if (!occurrence) {
+      const exists = await EventOccurrence.exists({ _id: req.params.occurrenceId, event: event._id });
+      if (!exists) {
+        throw ApiError.notFound('Session not found');
+      }
+      throw ApiError.conflict('Session is already cancelled', 'INVALID_STATUS');
+    }
+
+    const job = await enqueueJob(CANCELLATION_JOB, {
+      event: event._id,
+      createdBy: req.user._id,
+      params: { reason: req.body.reason, occurrence: occurrence._id }
+    });
+    occurrence.cancellationJob = job._id;
+    await occurrence.save();
+
+    await updateSeriesSpan(event._id);
+
+    res.status(202).json({ message: 'Session cancelled, processing registrations', occurrence, job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/analytics/sales
+// @desc    Daily or weekly tickets sold and revenue per ticket type
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/analytics/sales', protect, validate(schemas.salesAnalytics), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('organizer collaborators staff organization')
+      .populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const { interval, from, to } = req.query;
+    res.json({ interval, series: await salesSeries({ eventId: event._id, interval, from, to }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/analytics/funnel
+// @desc    View -> registration -> paid conversion
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/analytics/funnel', protect, validate(schemas.funnelAnalytics), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('organizer collaborators staff organization')
+      .populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const { from, to } = req.query;
+    res.json(await conversionFunnel({ eventId: event._id, from, to }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/analytics/check-ins
+// @desc    Check-ins over time and the running check-in rate
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/analytics/check-ins', protect, validate(schemas.checkInAnalytics), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('organizer collaborators staff organization')
+      .populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const { interval, from, to } = req.query;
+    res.json({ interval, ...await checkInSeries({ eventId: event._id, interval, from, to }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/analytics/rebuild
+// @desc    Recompute the view, ticket and revenue counters from registrations and the activity log
+// @access  Private (Organizer/Co-organizer/Admin)
+router.post('/:id/analytics/rebuild', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('organizer collaborators staff organization')
+      .populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    res.json(await rebuildCounters(event._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/export
+// @desc    Download registrations as CSV or Excel
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/export', protect, validate(schemas.exportRegistrations), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('title organizer collaborators staff organization')
+      .populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const { format, columns } = req.query;
+    const cursor = Registration.find(exportQuery(event._id, req.query))
+      .populate('user', 'name email phone')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    const filename = `${event.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event'}-registrations.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await streamXlsx(cursor, columns, res);
+    } else {
+      res.type('text/csv; charset=utf-8');
+      await streamCsv(cursor, columns, res);
+    }
+  } catch (error) {
+    // Once rows are on the wire all we can do is cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+});
+
+// @route   GET /api/events/:id/analytics
+// @desc    Get event analytics
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/:id/analytics', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate(ORGANIZATION_MEMBERS)
+      .populate('attendees');
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const analytics = {
+      totalViews: event.analytics.views,
+      totalTicketsSold: event.analytics.totalTicketsSold,
+      totalRevenue: event.analytics.totalRevenue,
+      attendeeCount: event.attendees.length,
+      ticketTypeBreakdown: event.ticketTypes.map(tt => ({
+        name: tt.name,
+        sold: tt.sold,
+        held: tt.held,
+        remaining: tt.quantity - tt.sold - tt.held,
+        revenue: tt.sold * tt.price
+      })),
+      waitlist: await waitlistSummary(event._id),
+      promoCodes: await Registration.aggregate([
+        {
+          $match: {
+            event: event._id,
+            promoCode: { $exists: true },
+            status: { $ne: 'transferred' },
+            paymentStatus: { $in: ['completed', 'partially_refunded'] }
+          }
+        },
+        {
+          $group: {
+            _id: '$promoCode',
+            redemptions: { $sum: 1 },
+            discountTotal: { $sum: '$discountAmount' },
+            revenue: { $sum: '$totalAmount' }
+          }
+        },
+        { $project: { _id: 0, code: '$_id', redemptions: 1, discountTotal: 1, revenue: 1 } },
+        { $sort: { redemptions: -1 } }
+      ]),
+      capacity: event.totalCapacity,
+      occupancyRate: ((event.analytics.totalTicketsSold / event.totalCapacity) * 100).toFixed(2)
+    };
+
+    res.json(analytics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/promo-codes
+// @desc    Get event promo codes
+// @access  Private (Organizer/Co-organizer/Admin)
+router.get('/:id/promo-codes', protect, validate(schemas.listPromoCodes), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    res.json(await paginate(PromoCode.find({ event: event._id }), req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/promo-codes
+// @desc    Create promo code
+// @access  Private (Organizer/Co-organizer/Admin)
+router.post('/:id/promo-codes', protect, validate(schemas.createPromoCode), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const promoCode = await PromoCode.create({
+      ...req.body,
+      event: event._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(promoCode);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/promo-codes/:codeId
+// @desc    Update promo code
+// @access  Private (Organizer/Co-organizer/Admin)
+router.put('/:id/promo-codes/:codeId', protect, validate(schemas.updatePromoCode), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const promoCode = await PromoCode.findOneAndUpdate(
+      { _id: req.params.codeId, event: event._id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!promoCode) {
+      throw ApiError.notFound('Promo code not found');
+    }
+
+    res.json(promoCode);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/promo-codes/:codeId
+// @desc    Deactivate promo code (kept for redemption reporting)
+// @access  Private (Organizer/Co-organizer/Admin)
+router.delete('/:id/promo-codes/:codeId', protect, validate(schemas.promoCodeId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const promoCode = await PromoCode.findOneAndUpdate(
+      { _id: req.params.codeId, event: event._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!promoCode) {
+      throw ApiError.notFound('Promo code not found');
+    }
+
+    res.json({ message: 'Promo code deactivated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/transfer-ownership
+// @desc    Hand the event to another organizer and/or move it into or out of an organization
+// @access  Private (Organizer/Org owner/Admin)
+router.post('/:id/transfer-ownership', protect, validate(schemas.transferOwnership), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:transfer');
+
+    const previous = {
+      organizer: event.organizer,
+      organization: event.organization?._id || null
+    };
+
+    let organization = event.organization || null;
+    if (req.body.organization !== undefined) {
+      organization = req.body.organization && await Organization.findById(req.body.organization);
+      if (req.body.organization && !organization) {
+        throw ApiError.notFound('Organization not found');
+      }
+      // Moving an event into an organization takes an owner or admin of it
+      if (organization && !organization._id.equals(previous.organization) &&
+          !['owner', 'admin'].includes(organization.memberRole(req.user.id)) && req.user.role !== 'admin') {
+        throw ApiError.forbidden('Only owners and admins of the organization can move events into it');
+      }
+    }
+
+    let organizer = event.organizer;
+    if (req.body.organizer) {
+      const user = await User.findById(req.body.organizer);
+      if (!user || user.isSuspended) {
+        throw ApiError.notFound('New organizer not found');
+      }
+      if (!organization && !['organizer', 'admin'].includes(user.role)) {
+        throw ApiError.badRequest('The new organizer needs an organizer account');
+      }
+      organizer = user._id;
+    }
+
+    if (organization && !organization.memberRole(organizer)) {
+      throw ApiError.badRequest('The organizer must be a member of the organization', 'NOT_A_MEMBER');
+    }
+
+    event.organizer = organizer;
+    event.organization = organization || undefined;
+    // The new organizer doesn't also need a collaborator role
+    event.collaborators = event.collaborators.filter(c => !c.user.equals(organizer));
+    event.staff = event.staff.filter(s => !s.equals(organizer));
+    await event.save();
+
+    await logAction(req.user, 'event.ownership-transfer', event, {
+      from: previous,
+      to: { organizer, organization: organization?._id || null }
+    });
+
+    if (!organizer.equals(previous.organizer)) {
+      await User.moveCreatedEvents([event._id], previous.organizer, organizer);
+      notifyInBackground(organizer, 'event.ownership_transferred', { event, by: req.user });
+    }
+
+    res.json({
+      _id: event._id,
+      organizer: event.organizer,
+      organization: organization?._id || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/events/:id/collaborators
+// @desc    Event team with roles, and open invitations
+// @access  Private (Organizer/Co-organizer/Admin)
+router.get('/:id/collaborators', protect, validate(schemas.eventId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate(ORGANIZATION_MEMBERS)
+      .populate('organizer', 'name email')
+      .populate('collaborators.user', 'name email')
+      .populate('staff', 'name email');
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'event:edit');
+
+    const invitations = await EventInvitation.find({ event: event._id, status: 'pending' })
+      .select('-tokenHash')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      organizer: event.organizer,
+      collaborators: [
+        ...event.collaborators,
+        ...event.staff.map(user => ({ user, role: 'door_staff' }))
+      ],
+      invitations,
+      yourRole: eventRole(event, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/invitations
+// @desc    Invite someone by email to help run the event with a role
+// @access  Private (Organizer/Admin)
+router.post('/:id/invitations', protect, validate(schemas.inviteCollaborator), async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'collaborators:manage');
+
+    const invitee = await User.findOne({ email });
+    if (invitee) {
+      const current = eventRole(event, invitee);
+      if (current === 'owner') {
+        throw ApiError.badRequest('The organizer already runs this event');
+      }
+      if (current && current !== 'admin') {
+        throw ApiError.conflict(`${email} is already on the team as ${current}; change their role instead`,
+          'ALREADY_COLLABORATOR');
+      }
+    }
+
+    // One open invitation per email; inviting again replaces it
+    await EventInvitation.updateMany(
+      { event: event._id, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await EventInvitation.create({
+      event: event._id,
+      email,
+      role,
+      invitedBy: req.user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    // Only the invitee gets the link: through their notification channels, or by
+    // email when they have no account yet
+    const data = { event, invitation, token, inviter: req.user };
+    if (invitee) {
+      notifyInBackground(invitee, 'collaborator.invited', data);
+    } else {
+      const message = templates['collaborator.invited'](data);
+      try {
+        await sendMail({ to: email, subject: message.title, text: message.body });
+      } catch (error) {
+        invitation.status = 'revoked';
+        await invitation.save();
+        throw error;
+      }
+    }
+
+    res.status(201).json({
+      _id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/invitations/:invitationId
+// @desc    Withdraw an open invitation
+// @access  Private (Organizer/Admin)
+router.delete('/:id/invitations/:invitationId', protect, validate(schemas.invitationId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'collaborators:manage');
+
+    const invitation = await EventInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, event: event._id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+    if (!invitation) {
+      throw ApiError.notFound('Open invitation not found');
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/invitations/:token/accept
+// @desc    Join an event's team; the invitation must have been sent to your email
+// @access  Private
+router.post('/invitations/:token/accept', protect, requireVerified, validate(schemas.invitationToken), async (req, res, next) => {
+  try {
+    const invitation = await EventInvitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending'
+    });
+    if (!invitation) {
+      throw ApiError.notFound('Invitation not found');
+    }
+
+    if (invitation.expiresAt <= Date.now()) {
+      invitation.status = 'expired';
+      await invitation.save();
+      throw new ApiError(410, 'INVITATION_EXPIRED', 'Invitation has expired');
+    }
+
+    if (invitation.email !== req.user.email) {
+      throw ApiError.forbidden('This invitation was sent to a different email address');
+    }
+
+    const event = await Event.findById(invitation.event).populate(ORGANIZATION_MEMBERS);
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+    if (eventRole(event, req.user) === 'owner') {
+      throw ApiError.badRequest('You already run this event');
+    }
+
+    const claimed = await EventInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', user: req.user._id, respondedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw ApiError.notFound('Invitation not found');
+    }
+
+    event.collaborators = event.collaborators.filter(c => c.user.toString() !== req.user.id);
+    event.collaborators.push({ user: req.user._id, role: invitation.role, addedBy: invitation.invitedBy });
+    event.staff = event.staff.filter(s => s.toString() !== req.user.id);
+    await event.save();
+
+    res.json({ event: { _id: event._id, title: event.title }, role: invitation.role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/invitations/:token/decline
+// @desc    Turn down an invitation
+// @access  Private
+router.post('/invitations/:token/decline', protect, validate(schemas.invitationToken), async (req, res, next) => {
+  try {
+    const invitation = await EventInvitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending'
+    });
+    if (!invitation) {
+      throw ApiError.notFound('Invitation not found');
+    }
+
+    if (invitation.email !== req.user.email) {
+      throw ApiError.forbidden('This invitation was sent to a different email address');
+    }
+
+    invitation.status = 'declined';
+    invitation.user = req.user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/events/:id/collaborators/:userId
+// @desc    Change a collaborator's role
+// @access  Private (Organizer/Admin)
+router.put('/:id/collaborators/:userId', protect, validate(schemas.updateCollaborator), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'collaborators:manage');
+
+    const collaborator = event.collaborators.find(c => c.user.toString() === req.params.userId);
+    const legacyStaff = event.staff.some(s => s.toString() === req.params.userId);
+    if (!collaborator && !legacyStaff) {
+      throw ApiError.notFound('Collaborator not found');
+    }
+
+    if (collaborator) {
+      collaborator.role = req.body.role;
+    } else {
+      event.staff = event.staff.filter(s => s.toString() !== req.params.userId);
+      event.collaborators.push({ user: req.params.userId, role: req.body.role, addedBy: req.user._id });
+    }
+    await event.save();
+
+    res.json(event.collaborators);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/events/:id/collaborators/:userId
+// @desc    Remove someone from the event's team (collaborators may remove themselves)
+// @access  Private (Organizer/Admin/the collaborator)
+router.delete('/:id/collaborators/:userId', protect, validate(schemas.collaboratorId), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    if (req.params.userId !== req.user.id) {
+      authorizeEvent(event, req.user, 'collaborators:manage');
+    }
+
+    const before = event.collaborators.length + event.staff.length;
+    event.collaborators = event.collaborators.filter(c => c.user.toString() !== req.params.userId);
+    event.staff = event.staff.filter(s => s.toString() !== req.params.userId);
+    if (event.collaborators.length + event.staff.length === before) {
+      throw ApiError.notFound('Collaborator not found');
+    }
+    await event.save();
+
+    res.json({ message: 'Collaborator removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/check-in
+// @desc    Verify a scanned ticket QR payload and check the attendee in
+// @access  Private (Organizer/Co-organizer/Door staff/Admin)
+router.post('/:id/check-in', protect, validate(schemas.checkIn), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'checkin');
+
+    const payload = verifyTicketPayload(req.body.qrData);
+    if (!payload) {
+      throw new ApiError(400, 'INVALID_SIGNATURE', 'Ticket signature is invalid');
+    }
+
+    if (payload.e !== event._id.toString()) {
+      throw new ApiError(400, 'WRONG_EVENT', 'Ticket belongs to a different event');
+    }
+
+    const registration = await Registration.findById(payload.r);
+    if (!registration || registration.event.toString() !== payload.e) {
+      throw new ApiError(404, 'TICKET_NOT_FOUND', 'Ticket not found');
+    }
+
+    if (registration.status === 'cancelled') {
+      throw new ApiError(409, 'TICKET_CANCELLED', 'Ticket has been cancelled');
+    }
+
+    // A re-issued code (e.g. after a transfer) supersedes every earlier one
+    if (registration.status === 'transferred' || registration.qrVersion !== payload.v) {
+      throw new ApiError(409, 'TICKET_SUPERSEDED', 'Ticket code is no longer valid');
+    }
+
+    // e.g. a hold that expired before a late payment came in, which is being refunded
+    if (registration.status !== 'active') {
+      throw new ApiError(409, 'TICKET_INACTIVE', `Ticket is ${registration.status}`);
+    }
+
+    if (!['completed', 'partially_refunded'].includes(registration.paymentStatus)) {
+      throw new ApiError(402, 'TICKET_UNPAID', 'Ticket has not been paid');
+    }
+
+    if (req.body.occurrenceId && String(registration.occurrence) !== req.body.occurrenceId) {
+      throw new ApiError(400, 'WRONG_OCCURRENCE', 'Ticket is for a different session');
+    }
+
+    const now = new Date();
+    const updated = await Registration.findOneAndUpdate(
+      {
+        _id: registration._id,
+        status: 'active',
+        paymentStatus: { $in: ['completed', 'partially_refunded'] },
+        checkInStatus: false
+      },
+      {
+        $set: { checkInStatus: true, checkInTime: now, checkedInBy: req.user._id },
+        $push: { checkInHistory: { action: 'check-in', by: req.user._id, at: now } }
+      },
+      { new: true }
+    ).populate('user', 'name email');
+
+    if (!updated) {
+      // Checked in, cancelled or refunded since the read above
+      const current = await Registration.findById(registration._id).select('status checkInStatus checkInTime');
+      if (!current || !current.checkInStatus) {
+        throw ApiError.conflict('Ticket changed, please scan again', 'TICKET_CHANGED');
+      }
+      const checkedInAt = current.checkInTime;
+      throw ApiError.conflict('Ticket has already been used', 'ALREADY_CHECKED_IN', [{
+        field: 'checkInTime',
+        message: checkedInAt ? `Checked in at ${checkedInAt.toISOString()}` : 'Already checked in',
+        code: 'used'
+      }]);
+    }
+
+    trackActivity('check_in', { event, user: req.user, registration: updated, amount: 0 });
+
+    res.json({
+      message: 'Checked in successfully',
+      registration: {
+        _id: updated._id,
+        user: updated.user,
+        attendeeInfo: updated.attendeeInfo,
+        tickets: updated.tickets,
+        checkInTime: updated.checkInTime,
+        checkedInBy: updated.checkedInBy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/events/:id/check-in/undo
+// @desc    Revert a check-in made by mistake
+// @access  Private (Organizer/Co-organizer/Door staff/Admin)
+router.post('/:id/check-in/undo', protect, validate(schemas.undoCheckIn), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(ORGANIZATION_MEMBERS);
+
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    authorizeEvent(event, req.user, 'checkin');
+
+    const updated = await Registration.findOneAndUpdate(
+      { _id: req.body.registrationId, event: event._id, checkInStatus: true },
+      {
+        $set: { checkInStatus: false },
+        $unset: { checkInTime: 1, checkedInBy: 1 },
+        $push: { checkInHistory: { action: 'undo', by: req.user._id, at: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ApiError(404, 'NOT_CHECKED_IN', 'No check-in found for this ticket');
+    }
+
+    trackActivity('check_in_undone', { event, user: req.user, registration: updated, amount: 0 });
+
+    res.json({ message: 'Check-in reverted', registration: updated });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/notificationValidators');
+const { protect } = require('../middleware/auth');
+const { getPreferences } = require('../services/notifications');
+const { paginate } = require('../utils/listQuery');
+const { isPublicUrl } = require('../utils/publicUrl');
+
+// @route   GET /api/notifications
+// @desc    Get user's in-app notifications, newest first
+// @access  Private
+router.get('/', protect, validate(schemas.listNotifications), async (req, res, next) => {
+  try {
+    const { unread } = req.query;
+    const query = { user: req.user.id, inbox: true };
+    if (unread === true) query.readAt = { $exists: false };
+    if (unread === false) query.readAt = { $exists: true };
+
+    const { data, pageInfo } = await paginate(Notification.find(query).select('-deliveries -inbox'), req.query);
+    const unreadCount = await Notification.countDocuments({
+      user: req.user.id,
+      inbox: true,
+      readAt: { $exists: false }
+    });
+
+    res.json({
+      data: data.map(n => ({ ...n.toObject(), read: Boolean(n.readAt) })),
+      pageInfo,
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, inbox: true, readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get user's notification channels
+// @access  Private
+router.get('/preferences', protect, async (req, res, next) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification channels, per-type overrides and delivery targets
+// @access  Private
+router.put('/preferences', protect, validate(schemas.updatePreferences), async (req, res, next) => {
+  try {
+    const { channels, types, smsNumber, webhookUrl } = req.body;
+    if (webhookUrl && !await isPublicUrl(webhookUrl)) {
+      throw ApiError.badRequest('Webhook URL must resolve to a public address', 'WEBHOOK_URL_NOT_PUBLIC');
+    }
+    const preference = await getPreferences(req.user.id);
+
+    for (const [channel, enabled] of Object.entries(channels || {})) {
+      preference.set(`channels.${channel}`, enabled);
+    }
+    for (const [type, settings] of Object.entries(types || {})) {
+      const current = preference.types.get(type)?.toObject() || {};
+      preference.types.set(type, { ...current, ...settings });
+    }
+    if (smsNumber !== undefined) preference.smsNumber = smsNumber || undefined;
+    if (webhookUrl !== undefined) preference.webhookUrl = webhookUrl || undefined;
+
+    await preference.save();
+
+    res.json(preference);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.put('/:id/read', protect, validate(schemas.notificationId), async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id, inbox: true })
+      .select('-deliveries -inbox');
+    if (!notification) {
+      throw ApiError.notFound('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/:id/unread
+// @desc    Mark notification as unread
+// @access  Private
+router.put('/:id/unread', protect, validate(schemas.notificationId), async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, inbox: true },
+      { $unset: { readAt: 1 } },
+      { new: true }
+    ).select('-deliveries -inbox');
+    if (!notification) {
+      throw ApiError.notFound('Notification not found');
+    }
+
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
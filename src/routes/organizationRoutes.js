@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/organizationValidators');
+const { protect, authorize } = require('../middleware/auth');
+const { paginate } = require('../utils/listQuery');
+const { notifyInBackground } = require('../services/notifications');
+const { salesSeries, conversionFunnel } = require('../services/analytics');
+
+const MANAGERS = ['owner', 'admin'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Load an organization the user belongs to with one of `roles` (any role by default).
+// Admins may act on every organization.
+const findOrganization = async (id, user, roles) => {
+  const organization = await Organization.findById(id);
+
+  if (!organization) {
+    throw ApiError.notFound('Organization not found');
+  }
+
+  const role = organization.memberRole(user.id);
+  if (user.role !== 'admin' && (!role || (roles && !roles.includes(role)))) {
+    throw ApiError.forbidden();
+  }
+
+  return organization;
+};
+
+const ownerCount = (organization) => organization.members.filter(m => m.role === 'owner').length;
+
+// @route   POST /api/organizations
+// @desc    Create an organization; the creator becomes its owner
+// @access  Private (Organizer/Admin)
+router.post('/', protect, authorize('organizer', 'admin'), validate(schemas.createOrganization), async (req, res, next) => {
+  try {
+    const organization = await Organization.create({
+      ...req.body,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }]
+    });
+
+    res.status(201).json(organization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizations
+// @desc    Organizations the user is a member of
+// @access  Private
+router.get('/', protect, validate(schemas.listOrganizations), async (req, res, next) => {
+  try {
+    const page = await paginate(Organization.find({ 'members.user': req.user._id }), req.query);
+    page.data = page.data.map(organization => ({
+      ...organization.toJSON(),
+      yourRole: organization.memberRole(req.user.id)
+    }));
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Organization with its members
+// @access  Private (Members/Admin)
+router.get('/:id', protect, validate(schemas.organizationId), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user);
+    await organization.populate('members.user', 'name email profileImage');
+
+    res.json({ ...organization.toJSON(), yourRole: organization.memberRole(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update organization details
+// @access  Private (Owner/Org admin/Admin)
+router.put('/:id', protect, validate(schemas.updateOrganization), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user, MANAGERS);
+
+    organization.set(req.body);
+    await organization.save();
+
+    res.json(organization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete an organization that no longer owns events
+// @access  Private (Owner/Admin)
+router.delete('/:id', protect, validate(schemas.organizationId), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user, ['owner']);
+
+    if (await Event.exists({ organization: organization._id })) {
+      throw ApiError.conflict('Transfer or delete the organization\'s events first', 'ORGANIZATION_HAS_EVENTS');
+    }
+
+    await organization.deleteOne();
+
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a registered user to the organization by email
+// @access  Private (Owner/Org admin/Admin)
+router.post('/:id/members', protect, validate(schemas.addMember), async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const organization = await findOrganization(req.params.id, req.user, MANAGERS);
+
+    // Only owners hand out ownership
+    if (role === 'owner' && organization.memberRole(req.user.id) !== 'owner' && req.user.role !== 'admin') {
+      throw ApiError.forbidden('Only owners can add owners');
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      throw ApiError.notFound('No user with that email');
+    }
+    if (organization.memberRole(user.id)) {
+      throw ApiError.conflict(`${email} is already a member`, 'ALREADY_MEMBER');
+    }
+
+    organization.members.push({ user: user._id, role, addedBy: req.user._id });
+    await organization.save();
+
+    notifyInBackground(user, 'organization.member_added', { organization, role, addedBy: req.user });
+
+    res.status(201).json(organization.members[organization.members.length - 1]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's role; an organization always keeps an owner
+// @access  Private (Owner/Org admin/Admin)
+router.put('/:id/members/:userId', protect, validate(schemas.updateMember), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const organization = await findOrganization(req.params.id, req.user, MANAGERS);
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      throw ApiError.notFound('Member not found');
+    }
+
+    const isOwner = organization.memberRole(req.user.id) === 'owner' || req.user.role === 'admin';
+    if ((role === 'owner' || member.role === 'owner') && !isOwner) {
+      throw ApiError.forbidden('Only owners can grant or change ownership');
+    }
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(organization) === 1) {
+      throw ApiError.conflict('An organization needs at least one owner', 'LAST_OWNER');
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json(member);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member (members may leave); their organization's events pass to an owner
+// @access  Private (Owner/Org admin/Admin/the member)
+router.delete('/:id/members/:userId', protect, validate(schemas.memberId), async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const organization = await findOrganization(req.params.id, req.user, leaving ? undefined : MANAGERS);
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      throw ApiError.notFound('Member not found');
+    }
+
+    if (member.role === 'owner') {
+      if (!leaving && organization.memberRole(req.user.id) !== 'owner' && req.user.role !== 'admin') {
+        throw ApiError.forbidden('Only owners can remove owners');
+      }
+      if (ownerCount(organization) === 1) {
+        throw ApiError.conflict('An organization needs at least one owner', 'LAST_OWNER');
+      }
+    }
+
+    organization.members.pull(member._id);
+    await organization.save();
+
+    const owner = organization.members.find(m => m.role === 'owner');
+    const eventIds = await Event.find({ organization: organization._id, organizer: req.params.userId }).distinct('_id');
+    const { modifiedCount } = await Event.updateMany(
+      { _id: { $in: eventIds }, organizer: req.params.userId },
+      { organizer: owner.user }
+    );
+    await User.moveCreatedEvents(eventIds, req.params.userId, owner.user);
+
+    res.json({ message: 'Member removed', eventsReassigned: modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizations/:id/events
+// @desc    Events owned by the organization
+// @access  Private (Members/Admin)
+router.get('/:id/events', protect, validate(schemas.organizationEvents), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user);
+
+    const query = { organization: organization._id };
+    if (req.query.status) query.status = req.query.status;
+
+    res.json(await paginate(Event.find(query).populate('organizer', 'name email'), req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizations/:id/registrations
+// @desc    Registrations across the organization's events
+// @access  Private (Members/Admin)
+router.get('/:id/registrations', protect, validate(schemas.organizationRegistrations), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user);
+    const { event, status, paymentStatus } = req.query;
+
+    const eventIds = await Event.find({ organization: organization._id }).distinct('_id');
+    if (event && !eventIds.some(id => id.toString() === event)) {
+      throw ApiError.notFound('Event not found in this organization');
+    }
+
+    const query = { event: event || { $in: eventIds } };
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const registrations = Registration.find(query)
+      .populate('event', 'title startDate')
+      .populate('user', 'name email phone');
+
+    res.json(await paginate(registrations, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizations/:id/analytics
+// @desc    Totals over all of the organization's events, with sales and conversion
+// @access  Private (Members/Admin)
+router.get('/:id/analytics', protect, validate(schemas.organizationAnalytics), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id, req.user);
+    const { from, to, interval } = req.query;
+
+    const events = await Event.find({ organization: organization._id })
+      .select('title status startDate totalCapacity analytics')
+      .sort({ startDate: -1 });
+    const eventIds = events.map(event => event._id);
+
+    const [sales, funnel] = await Promise.all([
+      salesSeries({ eventId: eventIds, from, to, interval }),
+      conversionFunnel({ eventId: eventIds, from, to })
+    ]);
+
+    const byStatus = {};
+    const totals = { views: 0, ticketsSold: 0, revenue: 0, capacity: 0 };
+    for (const event of events) {
+      byStatus[event.status] = (byStatus[event.status] || 0) + 1;
+      totals.views += event.analytics.views;
+      totals.ticketsSold += event.analytics.totalTicketsSold;
+      totals.revenue = round(totals.revenue + event.analytics.totalRevenue);
+      totals.capacity += event.totalCapacity;
+    }
+
+    res.json({
+      events: events.length,
+      byStatus,
+      totalViews: totals.views,
+      totalTicketsSold: totals.ticketsSold,
+      totalRevenue: totals.revenue,
+      occupancyRate: totals.capacity ? round((totals.ticketsSold / totals.capacity) * 100) : 0,
+      sales,
+      funnel,
+      perEvent: events.map(event => ({
+        _id: event._id,
+        title: event.title,
+        status: event.status,
+        startDate: event.startDate,
+        views: event.analytics.views,
+        ticketsSold: event.analytics.totalTicketsSold,
+        revenue: event.analytics.totalRevenue
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const OrganizerApplication = require('../models/OrganizerApplication');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/organizerApplicationValidators');
+const { protect, requireVerified } = require('../middleware/auth');
+const { paginate } = require('../utils/listQuery');
+
+// @route   POST /api/organizer-applications
+// @desc    Apply to become an organizer
+// @access  Private
+router.post('/', protect, requireVerified, validate(schemas.apply), async (req, res, next) => {
+  try {
+    if (req.user.role !== 'user') {
+      throw ApiError.conflict(`You already have the ${req.user.role} role`);
+    }
+
+    const pending = await OrganizerApplication.findOne({ user: req.user.id, status: 'pending' });
+    if (pending) {
+      throw ApiError.conflict('You already have a pending application');
+    }
+
+    const { organizationName, contactName, contactEmail, contactPhone, website, reason } = req.body;
+
+    const application = await OrganizerApplication.create({
+      user: req.user.id,
+      organizationName,
+      contactName: contactName || req.user.name,
+      contactEmail: contactEmail || req.user.email,
+      contactPhone: contactPhone || req.user.phone,
+      website,
+      reason
+    });
+
+    res.status(201).json(application);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/organizer-applications/mine
+// @desc    Get user's organizer applications
+// @access  Private
+router.get('/mine', protect, validate(schemas.listMine), async (req, res, next) => {
+  try {
+    res.json(await paginate(OrganizerApplication.find({ user: req.user.id }), req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const Registration = require('../models/Registration');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/paymentValidators');
+const { protect } = require('../middleware/auth');
+const { getProvider, handleWebhookEvent, PAYMENT_SUCCEEDED, PAYMENT_FAILED } = require('../services/payments');
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment confirmations from the payment provider
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res, next) => {
+  try {
+    const provider = getProvider();
+
+    let event;
+    try {
+      event = provider.parseWebhook(req.rawBody, req.headers);
+    } catch (error) {
+      throw ApiError.badRequest(`Webhook error: ${error.message}`, 'INVALID_SIGNATURE');
+    }
+
+    const result = await handleWebhookEvent(event);
+    res.json({ received: true, ignored: Boolean(result.ignored), reason: result.reason });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/mock/:registrationId/:outcome
+// @desc    Simulate the provider paying or failing a registration (mock provider only)
+// @access  Private
+router.post('/mock/:registrationId/:outcome', protect, validate(schemas.simulatePayment), async (req, res, next) => {
+  try {
+    const provider = getProvider();
+    if (provider.name !== 'mock') {
+      throw ApiError.notFound('Not found');
+    }
+
+    const types = { succeed: PAYMENT_SUCCEEDED, fail: PAYMENT_FAILED };
+    const type = types[req.params.outcome];
+
+    const registration = await Registration.findById(req.params.registrationId);
+    if (!registration) {
+      throw ApiError.notFound('Registration not found');
+    }
+
+    if (registration.user.toString() !== req.user.id) {
+      throw ApiError.forbidden();
+    }
+
+    // Go through the same signature check as a real delivery
+    const { body, headers } = provider.buildWebhook(type, {
+      intentId: registration.paymentIntentId,
+      amount: registration.totalAmount
+    });
+    const result = await handleWebhookEvent(provider.parseWebhook(Buffer.from(body), headers));
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
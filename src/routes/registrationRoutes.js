@@ -1,226 +1,809 @@
+const crypto = require('crypto');
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
-const { protect } = require('../middleware/auth');
-const QRCode = require('qrcode');
+const User = require('../models/User');
+const TicketTransfer = require('../models/TicketTransfer');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const EventOccurrence = require('../models/EventOccurrence');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/registrationValidators');
+const { protect, requireVerified } = require('../middleware/auth');
+const { generateTicketQr } = require('../utils/ticketQr');
+const {
+  holdTickets,
+  holdExpiry,
+  releaseHold,
+  releaseSold,
+  countTickets,
+  groupTickets
+} = require('../services/inventory');
+const { addToWaitlist, promoteWaitlistInBackground } = require('../services/waitlist');
+const { findPromoCode, priceTickets, redeemPromoCode, releasePromoCode } = require('../services/pricing');
+const { getProvider, markPaid } = require('../services/payments');
+const { calculateRefund, issueRefund, queueRefund, refundableAmount } = require('../services/refunds');
+const { notifyInBackground } = require('../services/notifications');
+const { sendMail, clientUrl } = require('../services/mailer');
+const { trackActivity } = require('../services/analytics');
+const {
+  seatedTicketTypes,
+  lockSeats,
+  releaseSeats,
+  reassignSeats
+} = require('../services/seating');
+const { isRecurring } = require('../services/recurrence');
+const { registrationsCalendar } = require('../services/calendar');
+const { paginate } = require('../utils/listQuery');
+const { ORGANIZATION_MEMBERS, can, authorizeEvent } = require('../services/eventPermissions');
+
+const TRANSFER_OFFER_HOURS = Number(process.env.TRANSFER_OFFER_HOURS) || 72;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Last moment a ticket of this event may change hands
+const transferDeadline = (event) => event.transferSettings?.transferDeadline || event.startDate;
+
+// Why tickets of this event can't be transferred right now, or null if they can
+const transferBlockedReason = (event) => {
+  if (event.transferSettings?.allowTransfers === false) {
+    return 'The organizer has disabled ticket transfers for this event';
+  }
+  if (transferDeadline(event) <= Date.now()) {
+    return 'The transfer deadline for this event has passed';
+  }
+  return null;
+};
 
 // @route   POST /api/registrations
 // @desc    Create new registration
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requireVerified, validate(schemas.createRegistration), async (req, res, next) => {
   try {
-    const { eventId, tickets, attendeeInfo } = req.body;
+    const { eventId, occurrenceId, tickets, attendeeInfo, waitlistEntryId, joinWaitlist, promoCode } = req.body;
 
     const event = await Event.findById(eventId);
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
+    }
+
+    if (event.status !== 'published') {
+      throw ApiError.conflict('Event is not open for registration', 'EVENT_NOT_OPEN');
     }
 
-    // Calculate total amount and validate ticket availability
-    let totalAmount = 0;
+    // Validate ticket types
     for (const ticket of tickets) {
-      const ticketType = event.ticketTypes.find(tt => tt.name === ticket.ticketType);
-      if (!ticketType) {
-        return res.status(400).json({ message: `Invalid ticket type: ${ticket.ticketType}` });
+      if (!event.ticketTypes.some(tt => tt.name === ticket.ticketType)) {
+        throw ApiError.badRequest(`Invalid ticket type: ${ticket.ticketType}`);
+      }
+    }
+
+    // Recurring events are booked per session
+    let occurrence = null;
+    if (isRecurring(event)) {
+      if (!occurrenceId) {
+        throw ApiError.badRequest('Choose a session of this recurring event', 'OCCURRENCE_REQUIRED');
+      }
+      occurrence = await EventOccurrence.findOne({ _id: occurrenceId, event: event._id });
+      if (!occurrence) {
+        throw ApiError.notFound('Session not found');
+      }
+      if (occurrence.status !== 'scheduled' || occurrence.startDate <= Date.now()) {
+        throw ApiError.conflict('Session is not open for registration', 'OCCURRENCE_NOT_OPEN');
       }
-      if (ticketType.quantity - ticketType.sold < ticket.quantity) {
-        return res.status(400).json({ message: `Not enough tickets available for ${ticket.ticketType}` });
+      if (waitlistEntryId || joinWaitlist) {
+        throw ApiError.badRequest('Sessions of recurring events have no waitlist');
       }
-      totalAmount += ticketType.price * ticket.quantity;
+    } else if (occurrenceId) {
+      throw ApiError.badRequest('Event is not recurring');
+    }
+
+    // Reserved-seating ticket types are bought by picking seats
+    const seated = seatedTicketTypes(event);
+    for (const ticket of tickets) {
+      if (seated.has(ticket.ticketType) && !ticket.seats) {
+        throw ApiError.badRequest(`Choose seats for ticket type ${ticket.ticketType}`, 'SEATS_REQUIRED');
+      }
+      if (!seated.has(ticket.ticketType) && ticket.seats) {
+        throw ApiError.badRequest(`Ticket type ${ticket.ticketType} has no reserved seating`, 'NOT_SEATED');
+      }
+    }
+    const seatLines = tickets.filter(t => t.seats);
+    const seatIds = seatLines.flatMap(t => t.seats);
+    if (new Set(seatIds).size !== seatIds.length) {
+      throw ApiError.badRequest('A seat can only be chosen once', 'DUPLICATE_SEAT');
+    }
+    if (seatLines.length && (waitlistEntryId || joinWaitlist)) {
+      throw ApiError.badRequest('Reserved seats are not sold through the waitlist', 'NOT_SEATED');
+    }
+
+    let promo = null;
+    if (promoCode) {
+      const lookup = await findPromoCode(event, promoCode, req.user.id);
+      if (lookup.error) {
+        throw ApiError.badRequest(lookup.error, 'INVALID_PROMO_CODE');
+      }
+      promo = lookup.promo;
+    }
+
+    // Apply automatic discount rules and the promo code
+    const pricing = priceTickets(event, tickets, promo);
+    if (promo && !pricing.promoApplied) {
+      throw ApiError.badRequest('Promo code does not apply to the selected tickets', 'INVALID_PROMO_CODE');
+    }
+    const { totalAmount } = pricing;
+
+    // Resolve the payment provider before anything is reserved
+    const provider = totalAmount > 0 ? getProvider() : null;
+
+    let waitlistEntry = null;
+    if (waitlistEntryId) {
+      // Claiming a waitlist offer: its seats are already held for this user
+      const offer = await WaitlistEntry.findOne({
+        _id: waitlistEntryId,
+        user: req.user.id,
+        event: event._id,
+        status: 'offered',
+        offerExpiresAt: { $gt: new Date() }
+      });
+      const requested = groupTickets(tickets);
+      if (
+        !offer ||
+        requested.length !== 1 ||
+        requested[0].ticketType !== offer.ticketType ||
+        requested[0].quantity !== offer.quantity
+      ) {
+        throw ApiError.badRequest('No matching waitlist offer available');
+      }
+
+      waitlistEntry = await WaitlistEntry.findOneAndUpdate(
+        { _id: offer._id, status: 'offered' },
+        { status: 'claimed' },
+        { new: true }
+      );
+      if (!waitlistEntry) {
+        throw ApiError.badRequest('No matching waitlist offer available');
+      }
+    } else {
+      // Reserve the seats atomically before anything is persisted
+      const held = await holdTickets(event._id, tickets, occurrence?._id);
+      if (!held) {
+        if (!joinWaitlist) {
+          throw ApiError.conflict('Not enough tickets available', 'SOLD_OUT', [{
+            field: 'tickets',
+            message: 'Send joinWaitlist: true to join the waitlist',
+            code: 'waitlist.available'
+          }]);
+        }
+
+        const entries = [];
+        for (const t of groupTickets(tickets)) {
+          const entry = await addToWaitlist(event._id, t.ticketType, req.user.id, t.quantity);
+          if (entry) entries.push(entry);
+        }
+        return res.status(202).json({ message: 'Tickets sold out, added to waitlist', waitlist: entries });
+      }
+    }
+
+    // Hand the seats back if the registration can't be completed
+    const registrationId = new mongoose.Types.ObjectId();
+    const releaseReservation = async () => {
+      if (waitlistEntry) {
+        waitlistEntry.status = 'offered';
+        await waitlistEntry.save();
+      } else {
+        await releaseHold(event._id, tickets, occurrence?._id);
+        await releaseSeats(registrationId);
+      }
+    };
+
+    // Lock the chosen seats; they are held under the registration about to be created
+    let seatAssignments = [];
+    if (seatLines.length) {
+      const locked = await lockSeats(event._id, registrationId, seatLines);
+      if (locked.unavailable) {
+        await releaseHold(event._id, tickets, occurrence?._id);
+        throw ApiError.conflict('Some of the chosen seats are no longer available', 'SEATS_UNAVAILABLE',
+          locked.unavailable.map(seatId => ({ field: 'seats', message: `Seat ${seatId} is not available`, code: 'seat.unavailable' })));
+      }
+      seatAssignments = locked.seats;
+    }
+
+    if (promo && !(await redeemPromoCode(promo))) {
+      await releaseReservation();
+      throw ApiError.conflict('Promo code usage limit reached', 'INVALID_PROMO_CODE');
     }
 
     // Create registration
-    const registration = await Registration.create({
-      event: eventId,
-      user: req.user.id,
-      tickets: tickets.map(t => ({
-        ticketType: t.ticketType,
-        price: event.ticketTypes.find(tt => tt.name === t.ticketType).price,
-        quantity: t.quantity
-      })),
-      totalAmount,
-      attendeeInfo,
-      paymentStatus: 'pending'
-    });
+    const assignments = [...seatAssignments];
+    const pricedTickets = pricing.tickets.map((line, i) => tickets[i].seats
+      ? { ...line, seats: assignments.shift() }
+      : line);
+
+    let registration;
+    try {
+      registration = await Registration.create({
+        _id: registrationId,
+        event: eventId,
+        occurrence: occurrence?._id,
+        user: req.user.id,
+        tickets: pricedTickets,
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount,
+        appliedDiscounts: pricing.appliedDiscounts,
+        promoCode: promo ? promo.code : undefined,
+        totalAmount,
+        attendeeInfo,
+        paymentStatus: 'pending',
+        inventoryStatus: 'held',
+        holdExpiresAt: holdExpiry()
+      });
+    } catch (error) {
+      await releaseReservation();
+      if (promo) await releasePromoCode(event._id, promo.code);
+      throw error;
+    }
 
-    // Generate QR Code
-    const qrData = JSON.stringify({
-      registrationId: registration._id,
-      eventId: event._id,
-      userId: req.user.id
-    });
-    const qrCode = await QRCode.toDataURL(qrData);
-    registration.qrCode = qrCode;
-    await registration.save();
+    if (waitlistEntry) {
+      waitlistEntry.registration = registration._id;
+      await waitlistEntry.save();
+    }
 
-    res.status(201).json(registration);
+    // Generate signed QR Code
+    registration.qrCode = await generateTicketQr(registration);
+
+    // Free registrations need no payment; paid ones wait for the provider webhook
+    let payment = null;
+    if (totalAmount === 0) {
+      await registration.save();
+      registration = await markPaid(registration);
+    } else {
+      const intent = await provider.createPaymentIntent({
+        amount: totalAmount,
+        currency: process.env.PAYMENT_CURRENCY || 'usd',
+        metadata: { registrationId: registration._id.toString(), eventId: event._id.toString() }
+      });
+
+      registration.paymentProvider = provider.name;
+      registration.paymentIntentId = intent.id;
+      await registration.save();
+
+      payment = {
+        provider: provider.name,
+        intentId: intent.id,
+        clientSecret: intent.clientSecret
+      };
+    }
+
+    trackActivity('registration_started', { registration });
+    notifyInBackground(req.user, 'registration.created', { event, occurrence, registration });
+
+    res.status(201).json({ ...registration.toObject(), payment });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/registrations/my-registrations
 // @desc    Get user's registrations
 // @access  Private
-router.get('/my-registrations', protect, async (req, res) => {
+router.get('/my-registrations', protect, validate(schemas.myRegistrations), async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    res.json(await paginate(Registration.find(query).populate('event'), req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancelled entries stay in feeds this long so calendars show the cancellation
+const CALENDAR_CANCELLED_DAYS = Number(process.env.CALENDAR_CANCELLED_DAYS) || 30;
+
+const sendCalendar = (res, filename, body) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(body);
+};
+
+const feedUrls = (req, token) => {
+  const path = `${req.get('host')}/api/registrations/calendar/${token}.ics`;
+  return { url: `${req.protocol}://${path}`, webcalUrl: `webcal://${path}` };
+};
+
+// @route   POST /api/registrations/calendar/token
+// @desc    Create the user's calendar feed URL, invalidating any earlier one
+// @access  Private
+router.post('/calendar/token', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const token = user.createCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json(feedUrls(req, token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/registrations/calendar/token
+// @desc    Turn off the user's calendar feed
+// @access  Private
+router.delete('/calendar/token', protect, async (req, res, next) => {
   try {
-    const registrations = await Registration.find({ user: req.user.id })
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/registrations/calendar/:token.ics
+// @desc    Calendar feed of the user's registrations, for subscribing from calendar apps
+// @access  Public (secret token)
+router.get('/calendar/:token.ics', validate(schemas.calendarFeed), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarToken: User.hashToken(req.params.token) });
+    if (!user || user.isSuspended) {
+      throw ApiError.notFound('Calendar feed not found');
+    }
+
+    // Registrations cancelled along with their event or session are kept for a while
+    const registrations = await Registration.find({
+      user: user._id,
+      $or: [
+        { status: 'active' },
+        { status: 'cancelled', updatedAt: { $gte: new Date(Date.now() - CALENDAR_CANCELLED_DAYS * 24 * 60 * 60 * 1000) } }
+      ]
+    })
       .populate('event')
-      .sort({ createdAt: -1 });
+      .populate('occurrence')
+      .sort({ createdAt: 1 });
 
-    res.json(registrations);
+    const entries = registrations.filter(registration => registration.status === 'active' ||
+      registration.event?.status === 'cancelled' || registration.occurrence?.status === 'cancelled');
+
+    sendCalendar(res, 'registrations.ics', registrationsCalendar(`${user.name}'s events`, entries));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/registrations/:id
 // @desc    Get single registration
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, validate(schemas.registrationId), async (req, res, next) => {
   try {
     const registration = await Registration.findById(req.params.id)
       .populate('event')
       .populate('user', 'name email phone');
 
     if (!registration) {
-      return res.status(404).json({ message: 'Registration not found' });
+      throw ApiError.notFound('Registration not found');
     }
 
-    // Check if user owns this registration or is organizer/admin
-    const event = await Event.findById(registration.event._id);
+    // The attendee, or the event's team looking at sales or checking people in
+    const event = await Event.findById(registration.event._id).populate(ORGANIZATION_MEMBERS);
     if (
       registration.user._id.toString() !== req.user.id &&
-      event.organizer.toString() !== req.user.id &&
-      req.user.role !== 'admin'
+      !can(event, req.user, 'sales:view') &&
+      !can(event, req.user, 'checkin')
     ) {
-      return res.status(403).json({ message: 'Not authorized' });
+      throw ApiError.forbidden();
     }
 
     res.json(registration);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
-// @route   PUT /api/registrations/:id/payment
-// @desc    Update payment status
+// @route   GET /api/registrations/:id/calendar.ics
+// @desc    Add-to-calendar file for one registration
 // @access  Private
-router.put('/:id/payment', protect, async (req, res) => {
+router.get('/:id/calendar.ics', protect, validate(schemas.registrationId), async (req, res, next) => {
   try {
-    const { paymentIntentId, transactionId } = req.body;
+    const registration = await Registration.findById(req.params.id)
+      .populate('event')
+      .populate('occurrence');
+
+    if (!registration || !registration.event) {
+      throw ApiError.notFound('Registration not found');
+    }
+
+    if (registration.user.toString() !== req.user.id) {
+      throw ApiError.forbidden();
+    }
 
+    sendCalendar(res, `registration-${registration._id}.ics`,
+      registrationsCalendar(registration.event.title, [registration]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/registrations/:id/cancel
+// @desc    Cancel registration
+// @access  Private
+router.put('/:id/cancel', protect, validate(schemas.registrationId), async (req, res, next) => {
+  try {
     const registration = await Registration.findById(req.params.id);
+    
     if (!registration) {
-      return res.status(404).json({ message: 'Registration not found' });
+      throw ApiError.notFound('Registration not found');
     }
 
     if (registration.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+      throw ApiError.forbidden();
     }
 
-    registration.paymentStatus = 'completed';
-    registration.paymentIntentId = paymentIntentId;
-    registration.transactionId = transactionId;
+    if (registration.status !== 'active') {
+      throw ApiError.conflict(`Registration already ${registration.status}`);
+    }
 
-    await registration.save();
+    const previousInventory = registration.inventoryStatus;
+    const cancelled = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: 'active', inventoryStatus: previousInventory },
+      { status: 'cancelled', inventoryStatus: 'released', $unset: { holdExpiresAt: 1 } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw ApiError.conflict('Registration changed, please retry');
+    }
 
-    // Update event analytics
-    const event = await Event.findById(registration.event);
-    const totalTickets = registration.tickets.reduce((sum, t) => sum + t.quantity, 0);
-    
-    event.analytics.totalTicketsSold += totalTickets;
-    event.analytics.totalRevenue += registration.totalAmount;
-    event.attendees.push(registration._id);
-
-    // Update ticket type sold count
-    for (const ticket of registration.tickets) {
-      const ticketType = event.ticketTypes.find(tt => tt.name === ticket.ticketType);
-      if (ticketType) {
-        ticketType.sold += ticket.quantity;
+    let refund = null;
+    if (previousInventory === 'held') {
+      await releaseHold(cancelled.event, cancelled.tickets, cancelled.occurrence);
+      await releaseSeats(cancelled._id);
+      await releasePromoCode(cancelled.event, cancelled.promoCode);
+    } else if (previousInventory === 'sold') {
+      await releaseSold(cancelled.event, cancelled.tickets, cancelled.occurrence);
+      await releaseSeats(cancelled._id);
+
+      // Update event analytics; revenue only drops by what is actually refunded
+      const event = await Event.findByIdAndUpdate(cancelled.event, {
+        $inc: { 'analytics.totalTicketsSold': -countTickets(cancelled.tickets) },
+        $pull: { attendees: cancelled._id }
+      });
+
+      // The seats are already released, so the refund is recorded as owed before the
+      // provider is called; if the provider fails it stays pending and is retried
+      refund = calculateRefund(event, cancelled);
+      if (refund.amount > 0) {
+        const refunded = await queueRefund(cancelled, refund.amount, {
+          type: 'cancellation',
+          reason: `${refund.percent}% refund under the event's cancellation policy`,
+          issuedBy: req.user._id
+        });
+        refund.pending = !refunded;
       }
     }
 
-    await event.save();
+    // Offer the freed seats to the waitlist
+    promoteWaitlistInBackground(cancelled.event);
 
-    res.json(registration);
+    trackActivity('registration_cancelled', { registration: cancelled, sold: previousInventory === 'sold' });
+    notifyInBackground(req.user, 'registration.cancelled', {
+      event: await Event.findById(cancelled.event),
+      registration: cancelled,
+      refundAmount: refund?.amount || 0
+    });
+
+    res.json({ message: 'Registration cancelled successfully', refund });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
-// @route   PUT /api/registrations/:id/cancel
-// @desc    Cancel registration
+// @route   POST /api/registrations/:id/refund
+// @desc    Issue a manual refund
+// @access  Private (Organizer/Finance/Admin)
+router.post('/:id/refund', protect, validate(schemas.refund), async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const registration = await Registration.findById(req.params.id);
+    if (!registration) {
+      throw ApiError.notFound('Registration not found');
+    }
+
+    const event = await Event.findById(registration.event).populate(ORGANIZATION_MEMBERS);
+    authorizeEvent(event, req.user, 'refunds:issue');
+
+    if (!['completed', 'partially_refunded'].includes(registration.paymentStatus)) {
+      throw ApiError.badRequest('Only paid registrations can be refunded');
+    }
+
+    // Default to refunding the whole remaining balance
+    const refundAmount = amount === undefined ? refundableAmount(registration) : Number(amount);
+    if (!(refundAmount > 0) || refundAmount > refundableAmount(registration)) {
+      throw ApiError.badRequest(`Refund amount must be between 0 and ${refundableAmount(registration)}`,
+        'INVALID_REFUND_AMOUNT');
+    }
+
+    const updated = await issueRefund(registration, refundAmount, {
+      type: 'manual',
+      reason,
+      issuedBy: req.user._id
+    });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/registrations/:id/transfer
+// @desc    Offer a ticket to another person by email
 // @access  Private
-router.put('/:id/cancel', protect, async (req, res) => {
+router.post('/:id/transfer', protect, validate(schemas.transfer), async (req, res, next) => {
   try {
+    const { email } = req.body;
+
     const registration = await Registration.findById(req.params.id);
-    
     if (!registration) {
-      return res.status(404).json({ message: 'Registration not found' });
+      throw ApiError.notFound('Registration not found');
     }
 
     if (registration.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+      throw ApiError.forbidden();
     }
 
-    if (registration.status === 'cancelled') {
-      return res.status(400).json({ message: 'Registration already cancelled' });
+    if (registration.status !== 'active' || registration.checkInStatus) {
+      throw ApiError.badRequest('Only active, unused tickets can be transferred');
     }
 
-    registration.status = 'cancelled';
-    await registration.save();
+    if (!['completed', 'partially_refunded'].includes(registration.paymentStatus)) {
+      throw ApiError.badRequest('Only paid tickets can be transferred');
+    }
+
+    if (registration.pendingRefund?.amount) {
+      throw ApiError.conflict('A refund for this ticket is still being processed', 'REFUND_PENDING');
+    }
+
+    if (email === req.user.email) {
+      throw ApiError.badRequest('You already hold this ticket');
+    }
 
-    // Update event analytics
     const event = await Event.findById(registration.event);
-    const totalTickets = registration.tickets.reduce((sum, t) => sum + t.quantity, 0);
-    
-    event.analytics.totalTicketsSold -= totalTickets;
-    event.analytics.totalRevenue -= registration.totalAmount;
-    event.attendees = event.attendees.filter(a => a.toString() !== registration._id.toString());
-
-    // Update ticket type sold count
-    for (const ticket of registration.tickets) {
-      const ticketType = event.ticketTypes.find(tt => tt.name === ticket.ticketType);
-      if (ticketType) {
-        ticketType.sold -= ticket.quantity;
+    const blocked = transferBlockedReason(event);
+    if (blocked) {
+      throw ApiError.badRequest(blocked);
+    }
+
+    // A ticket has at most one open offer
+    await TicketTransfer.updateMany(
+      { registration: registration._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const offerExpiry = new Date(Date.now() + TRANSFER_OFFER_HOURS * 60 * 60 * 1000);
+    const deadline = transferDeadline(event);
+
+    const transfer = await TicketTransfer.create({
+      registration: registration._id,
+      event: event._id,
+      fromUser: req.user._id,
+      toEmail: email,
+      tokenHash: hashToken(token),
+      expiresAt: offerExpiry < deadline ? offerExpiry : deadline
+    });
+
+    // Only the recipient gets the link; the recipient may not have an account yet
+    try {
+      await sendMail({
+        to: email,
+        subject: `${req.user.name} sent you a ticket for ${event.title}`,
+        text: `Hi,\n\n${req.user.name} wants to give you their ticket for ${event.title}. ` +
+          `Accept it here:\n${clientUrl(`/transfers/${token}`)}\n\n` +
+          `The offer expires on ${transfer.expiresAt.toUTCString()}.`
+      });
+    } catch (error) {
+      transfer.status = 'cancelled';
+      await transfer.save();
+      throw error;
+    }
+
+    res.status(201).json({
+      _id: transfer._id,
+      toEmail: transfer.toEmail,
+      status: transfer.status,
+      expiresAt: transfer.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/registrations/:id/transfer
+// @desc    Withdraw a pending transfer offer
+// @access  Private
+router.delete('/:id/transfer', protect, validate(schemas.registrationId), async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    if (!registration) {
+      throw ApiError.notFound('Registration not found');
+    }
+
+    if (registration.user.toString() !== req.user.id) {
+      throw ApiError.forbidden();
+    }
+
+    const result = await TicketTransfer.updateMany(
+      { registration: registration._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    if (result.modifiedCount === 0) {
+      throw ApiError.notFound('No pending transfer for this ticket');
+    }
+
+    res.json({ message: 'Transfer offer withdrawn' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/registrations/transfers/:token/accept
+// @desc    Accept a ticket transfer; the ticket is re-issued to the recipient
+// @access  Private
+router.post('/transfers/:token/accept', protect, requireVerified, validate(schemas.acceptTransfer), async (req, res, next) => {
+  try {
+    const transfer = await TicketTransfer.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending'
+    });
+    if (!transfer) {
+      throw ApiError.notFound('Transfer offer not found');
+    }
+
+    if (transfer.expiresAt <= Date.now()) {
+      transfer.status = 'expired';
+      await transfer.save();
+      throw new ApiError(410, 'TRANSFER_EXPIRED', 'Transfer offer has expired');
+    }
+
+    if (transfer.toEmail !== req.user.email) {
+      throw ApiError.forbidden('This transfer was offered to a different email address');
+    }
+
+    const event = await Event.findById(transfer.event);
+    const blocked = transferBlockedReason(event);
+    if (blocked) {
+      throw ApiError.badRequest(blocked);
+    }
+
+    const claimed = await TicketTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      { status: 'accepted', toUser: req.user._id, acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw ApiError.conflict('Transfer offer is no longer available');
+    }
+
+    // Retire the old ticket; its QR code stops validating once it is transferred
+    const previous = await Registration.findOneAndUpdate(
+      {
+        _id: transfer.registration,
+        status: 'active',
+        checkInStatus: false,
+        paymentStatus: { $in: ['completed', 'partially_refunded'] },
+        // An owed refund is retried against this registration, so it stays put until paid
+        'pendingRefund.amount': { $exists: false }
+      },
+      { status: 'transferred', $unset: { qrCode: 1 } },
+      { new: true }
+    );
+    if (!previous) {
+      claimed.status = 'cancelled';
+      await claimed.save();
+      throw ApiError.conflict('Ticket can no longer be transferred');
+    }
+
+    const registration = new Registration({
+      event: previous.event,
+      occurrence: previous.occurrence,
+      user: req.user._id,
+      tickets: previous.tickets.map(t => ({
+        ticketType: t.ticketType,
+        price: t.price,
+        quantity: t.quantity,
+        seats: t.seats.map(s => s.toObject())
+      })),
+      originalAmount: previous.originalAmount,
+      discountAmount: previous.discountAmount,
+      appliedDiscounts: previous.appliedDiscounts.map(d => d.toObject()),
+      promoCode: previous.promoCode,
+      totalAmount: previous.totalAmount,
+      paymentStatus: previous.paymentStatus,
+      paymentProvider: previous.paymentProvider,
+      paymentIntentId: previous.paymentIntentId,
+      transactionId: previous.transactionId,
+      refunds: previous.refunds.map(r => r.toObject()),
+      refundedAmount: previous.refundedAmount,
+      inventoryStatus: previous.inventoryStatus,
+      transferredFrom: previous._id,
+      attendeeInfo: {
+        name: req.user.name,
+        email: req.user.email,
+        phone: req.user.phone,
+        ...req.body.attendeeInfo
       }
+    });
+    registration.qrCode = await generateTicketQr(registration);
+    await registration.save();
+
+    previous.transferredTo = registration._id;
+    await previous.save();
+    await reassignSeats(previous._id, registration._id);
+
+    claimed.newRegistration = registration._id;
+    await claimed.save();
+
+    await Event.updateOne({ _id: previous.event }, { $pull: { attendees: previous._id } });
+    await Event.updateOne({ _id: previous.event }, { $addToSet: { attendees: registration._id } });
+
+    res.status(201).json(registration);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/registrations/event/:eventId/transfers
+// @desc    Ownership change history of an event's tickets
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/event/:eventId/transfers', protect, validate(schemas.eventTransfers), async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId).populate(ORGANIZATION_MEMBERS);
+    if (!event) {
+      throw ApiError.notFound('Event not found');
     }
 
-    await event.save();
+    authorizeEvent(event, req.user, 'sales:view');
+
+    const transfers = TicketTransfer.find({ event: event._id })
+      .select('-tokenHash')
+      .populate('fromUser', 'name email')
+      .populate('toUser', 'name email');
 
-    res.json({ message: 'Registration cancelled successfully' });
+    res.json(await paginate(transfers, req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
 // @route   GET /api/registrations/event/:eventId
 // @desc    Get all registrations for an event
-// @access  Private (Organizer/Admin)
-router.get('/event/:eventId', protect, async (req, res) => {
+// @access  Private (Organizer/Co-organizer/Finance/Admin)
+router.get('/event/:eventId', protect, validate(schemas.eventRegistrations), async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.eventId);
+    const event = await Event.findById(req.params.eventId).populate(ORGANIZATION_MEMBERS);
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      throw ApiError.notFound('Event not found');
     }
 
-    // Check if user is organizer or admin
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    authorizeEvent(event, req.user, 'sales:view');
 
-    const registrations = await Registration.find({ 
+    const query = {
       event: req.params.eventId,
-      paymentStatus: 'completed'
-    })
-      .populate('user', 'name email phone')
-      .sort({ createdAt: -1 });
+      status: { $ne: 'transferred' },
+      paymentStatus: { $in: ['completed', 'partially_refunded'] }
+    };
+    if (req.query.checkedIn !== undefined) query.checkInStatus = req.query.checkedIn;
+
+    const registrations = Registration.find(query).populate('user', 'name email phone');
 
-    res.json(registrations);
+    res.json(await paginate(registrations, req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
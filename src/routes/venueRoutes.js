@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/venueValidators');
+const { protect, authorize } = require('../middleware/auth');
+const { paginate } = require('../utils/listQuery');
+
+// Load a venue the user may manage
+const findOwnVenue = async (id, user) => {
+  const venue = await Venue.findById(id);
+
+  if (!venue) {
+    throw ApiError.notFound('Venue not found');
+  }
+
+  if (venue.owner.toString() !== user.id && user.role !== 'admin') {
+    throw ApiError.forbidden();
+  }
+
+  return venue;
+};
+
+// @route   POST /api/venues
+// @desc    Create a venue with its seat map
+// @access  Private (Organizer/Admin)
+router.post('/', protect, authorize('organizer', 'admin'), validate(schemas.createVenue), async (req, res, next) => {
+  try {
+    const venue = await Venue.create({ ...req.body, owner: req.user.id });
+
+    res.status(201).json(venue);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/venues
+// @desc    Get venues of the user (all venues for admins)
+// @access  Private (Organizer/Admin)
+router.get('/', protect, authorize('organizer', 'admin'), validate(schemas.listVenues), async (req, res, next) => {
+  try {
+    const query = req.user.role === 'admin' ? {} : { owner: req.user.id };
+
+    res.json(await paginate(Venue.find(query).select('-sections'), req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/venues/:id
+// @desc    Get venue with its seat map
+// @access  Private (Organizer/Admin)
+router.get('/:id', protect, authorize('organizer', 'admin'), validate(schemas.venueId), async (req, res, next) => {
+  try {
+    res.json(await findOwnVenue(req.params.id, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/venues/:id
+// @desc    Update venue; events already using it keep the seats they were set up with
+// @access  Private (Organizer/Admin)
+router.put('/:id', protect, authorize('organizer', 'admin'), validate(schemas.updateVenue), async (req, res, next) => {
+  try {
+    const venue = await findOwnVenue(req.params.id, req.user);
+
+    venue.set(req.body);
+    await venue.save();
+
+    res.json(venue);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/venues/:id
+// @desc    Delete venue that no upcoming event uses
+// @access  Private (Organizer/Admin)
+router.delete('/:id', protect, authorize('organizer', 'admin'), validate(schemas.venueId), async (req, res, next) => {
+  try {
+    const venue = await findOwnVenue(req.params.id, req.user);
+
+    const inUse = await Event.exists({
+      'seating.venue': venue._id,
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+    if (inUse) {
+      throw ApiError.conflict('Venue is used by an event', 'VENUE_IN_USE');
+    }
+
+    await venue.deleteOne();
+
+    res.json({ message: 'Venue deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Event = require('../models/Event');
+const ApiError = require('../utils/ApiError');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/waitlistValidators');
+const { protect } = require('../middleware/auth');
+const { addToWaitlist, promoteWaitlistInBackground } = require('../services/waitlist');
+const { releaseHold } = require('../services/inventory');
+const { isRecurring } = require('../services/recurrence');
+const { seatedTicketTypes } = require('../services/seating');
+const { paginate } = require('../utils/listQuery');
+
+// @route   POST /api/waitlist
+// @desc    Join the waitlist of a sold-out ticket type
+// @access  Private
+router.post('/', protect, validate(schemas.joinWaitlist), async (req, res, next) => {
+  try {
+    const { eventId, ticketType, quantity } = req.body;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw ApiError.notFound('Event not found');
+    }
+
+    if (event.status !== 'published') {
+      throw ApiError.conflict('Event is not open for registration', 'EVENT_NOT_OPEN');
+    }
+
+    if (isRecurring(event)) {
+      throw ApiError.badRequest('Sessions of recurring events have no waitlist');
+    }
+
+    if (!event.ticketTypes.some(tt => tt.name === ticketType)) {
+      throw ApiError.badRequest(`Invalid ticket type: ${ticketType}`);
+    }
+
+    // An offer can only be claimed without picking seats
+    if (seatedTicketTypes(event).has(ticketType)) {
+      throw ApiError.badRequest('Reserved seats are not sold through the waitlist', 'NOT_SEATED');
+    }
+
+    const entry = await addToWaitlist(event._id, ticketType, req.user.id, quantity);
+    if (!entry) {
+      throw ApiError.conflict('You are already on the waitlist for this ticket type');
+    }
+
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/waitlist/my-entries
+// @desc    Get user's waitlist entries, including open claim offers
+// @access  Private
+router.get('/my-entries', protect, validate(schemas.myEntries), async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const { data: entries, pageInfo } = await paginate(
+      WaitlistEntry.find(query).populate('event', 'title startDate'),
+      req.query
+    );
+
+    // Position in line for entries still waiting
+    const data = await Promise.all(entries.map(async (entry) => {
+      const item = entry.toObject();
+      if (entry.status === 'waiting' && entry.event) {
+        item.position = await WaitlistEntry.countDocuments({
+          event: entry.event._id,
+          ticketType: entry.ticketType,
+          status: 'waiting',
+          createdAt: { $lte: entry.createdAt }
+        });
+      }
+      return item;
+    }));
+
+    res.json({ data, pageInfo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist or decline an offer
+// @access  Private
+router.delete('/:id', protect, validate(schemas.entryId), async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      throw ApiError.notFound('Waitlist entry not found');
+    }
+
+    if (entry.user.toString() !== req.user.id) {
+      throw ApiError.forbidden();
+    }
+
+    const left = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'cancelled' }
+    );
+    if (!left) {
+      throw ApiError.conflict(`Waitlist entry already ${entry.status}`);
+    }
+
+    // A declined offer passes its held seats to the next person
+    if (left.status === 'offered') {
+      await releaseHold(entry.event, [{ ticketType: entry.ticketType, quantity: entry.quantity }]);
+      promoteWaitlistInBackground(entry.event, entry.ticketType);
+    }
+
+    res.json({ message: 'Removed from waitlist' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -11,12 +11,47 @@ const authRoutes = require('./routes/authRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const registrationRoutes = require('./routes/registrationRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const organizerApplicationRoutes = require('./routes/organizerApplicationRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const venueRoutes = require('./routes/venueRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { checkPaymentConfig } = require('./services/payments');
+
+// Background jobs
+const { startHoldSweeper } = require('./jobs/holdSweeper');
+const { startEventCompleter } = require('./jobs/eventCompleter');
+const { startEventReminders } = require('./jobs/eventReminders');
+const { startJobRunner } = require('./jobs/jobRunner');
+const { startAccountDeletion } = require('./jobs/accountDeletion');
+const { startRefundRetry } = require('./jobs/refundRetry');
+require('./jobs/eventCancellation');
+
+// Refuse to start with a payment provider that can't take payments here
+try {
+  checkPaymentConfig();
+} catch (err) {
+  console.log('Payment configuration error:', err.message);
+  process.exit(1);
+}
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Bulk imports get a bigger body limit and may be sent as CSV
+app.use('/api/events/import',
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+// Keep the raw body around so payment webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB
@@ -24,7 +59,15 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('MongoDB Connected'))
+.then(() => {
+  console.log('MongoDB Connected');
+  startHoldSweeper();
+  startEventCompleter();
+  startEventReminders();
+  startJobRunner();
+  startAccountDeletion();
+  startRefundRetry();
+})
 .catch(err => console.log('MongoDB connection error:', err));
 
 // Mount routes
@@ -32,12 +75,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/registrations', registrationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/organizer-applications', organizerApplicationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/organizations', organizationRoutes);
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Server Error', error: err.message });
-});
+// Error handling
+app.use(notFound);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const EventActivity = require('../models/EventActivity');
+const EventInvitation = require('../models/EventInvitation');
+const Organization = require('../models/Organization');
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const RefreshToken = require('../models/RefreshToken');
+
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const DELETED_NAME = 'Deleted user';
+
+// Placeholder address for an erased account; reserved TLD, so never deliverable
+const deletedEmail = (user) => `deleted-${user._id}@deleted.invalid`;
+
+const ENDED_STATUSES = ['completed', 'cancelled'];
+
+// Owner or admin of the organization other than the user, to take over their events
+const successor = (organization, user) => ['owner', 'admin']
+  .map(role => organization.members.find(m => m.role === role && !m.user.equals(user._id)))
+  .find(Boolean);
+
+// What has to be resolved before the account can be erased: events still running
+// that nobody can take over, organizations that would lose their last owner, and
+// tickets for events that haven't happened yet. Empty when deletion can go ahead.
+exports.deletionBlockers = async (user) => {
+  const blockers = [];
+
+  const events = await Event.find({ organizer: user._id, status: { $nin: ENDED_STATUSES } })
+    .select('title organization')
+    .populate('organization', 'members');
+  for (const event of events) {
+    if (!event.organization || !successor(event.organization, user)) {
+      blockers.push({
+        type: 'event',
+        id: event._id,
+        title: event.title,
+        reason: 'Transfer the event to another organizer or cancel it'
+      });
+    }
+  }
+
+  const organizations = await Organization.find({ members: { $elemMatch: { user: user._id, role: 'owner' } } });
+  for (const organization of organizations) {
+    const owners = organization.members.filter(m => m.role === 'owner');
+    if (owners.length === 1 && organization.members.length > 1) {
+      blockers.push({
+        type: 'organization',
+        id: organization._id,
+        title: organization.name,
+        reason: 'Make another member an owner of the organization'
+      });
+    }
+  }
+
+  const registrations = await Registration.find({ user: user._id, status: 'active' })
+    .select('event occurrence')
+    .populate('event', 'title endDate status')
+    .populate('occurrence', 'endDate status');
+  for (const registration of registrations) {
+    const { event, occurrence } = registration;
+    const cancelled = event?.status === 'cancelled' || occurrence?.status === 'cancelled';
+    if (event && !cancelled && (occurrence || event).endDate > Date.now()) {
+      blockers.push({
+        type: 'registration',
+        id: registration._id,
+        title: event.title,
+        reason: 'Cancel or transfer the ticket for this upcoming event'
+      });
+    }
+  }
+
+  return blockers;
+};
+
+// Start the grace period; the account is erased when it ends unless the user cancels
+exports.scheduleDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+  return user.deletionScheduledFor;
+};
+
+exports.cancelDeletion = async (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+// Erase the user's personal data. The account document stays, anonymized, so
+// registrations, payments and events keep a valid reference for bookkeeping.
+// Call only when deletionBlockers() is empty. Every step can run again: the
+// account is locked first and keeps its deletionScheduledFor until the last step,
+// so the deletion job finishes an erasure that failed partway.
+exports.eraseAccount = async (user) => {
+  const anonymized = deletedEmail(user);
+
+  // Records found by email address go first, while the account still has it
+  await EventInvitation.updateMany({ email: user.email, status: 'pending' }, { status: 'revoked' });
+  await EventInvitation.updateMany({ email: user.email }, { email: anonymized });
+  await TicketTransfer.updateMany(
+    { $or: [{ fromUser: user._id }, { toEmail: user.email }], status: 'pending' },
+    { status: 'cancelled' }
+  );
+  await TicketTransfer.updateMany({ toEmail: user.email }, { toEmail: anonymized });
+
+  // Nobody knows this password, so the account can't be signed into again
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_NAME,
+        email: anonymized,
+        password: await User.hashPassword(crypto.randomBytes(32).toString('hex')),
+        phone: '',
+        profileImage: '',
+        deletedAt: user.deletedAt || new Date(),
+        deletionScheduledFor: user.deletionScheduledFor || new Date()
+      },
+      $unset: {
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        calendarToken: 1
+      }
+    }
+  );
+  await RefreshToken.deleteMany({ user: user._id });
+
+  // Events of organizations go to an owner or admin who stays
+  const memberships = await Organization.find({ 'members.user': user._id });
+  for (const organization of memberships) {
+    const next = successor(organization, user);
+    if (next) {
+      const eventIds = await Event.find({ organization: organization._id, organizer: user._id }).distinct('_id');
+      await Event.updateMany({ _id: { $in: eventIds }, organizer: user._id }, { organizer: next.user });
+      await User.moveCreatedEvents(eventIds, user._id, next.user);
+    }
+
+    organization.members = organization.members.filter(m => !m.user.equals(user._id));
+    if (organization.members.length === 0 && !(await Event.exists({ organization: organization._id }))) {
+      await organization.deleteOne();
+    } else {
+      await organization.save();
+    }
+  }
+
+  await Event.updateMany(
+    { $or: [{ 'collaborators.user': user._id }, { staff: user._id }] },
+    { $pull: { collaborators: { user: user._id }, staff: user._id } }
+  );
+
+  // Payments, refunds and ticket history stay; the contact details on them don't
+  await Registration.updateMany(
+    { user: user._id },
+    {
+      $set: { 'attendeeInfo.name': DELETED_NAME },
+      $unset: { 'attendeeInfo.email': 1, 'attendeeInfo.phone': 1, 'attendeeInfo.specialRequirements': 1, qrCode: 1 }
+    }
+  );
+  await WaitlistEntry.deleteMany({ user: user._id });
+  await Notification.deleteMany({ user: user._id });
+  await NotificationPreference.deleteMany({ user: user._id });
+  await OrganizerApplication.updateMany(
+    { user: user._id },
+    { contactName: DELETED_NAME, contactEmail: anonymized, $unset: { contactPhone: 1 } }
+  );
+  // The activity log is append-only for the app; unlinking the user is the one
+  // change it takes, so it goes straight to the collection past the model's hook
+  await EventActivity.collection.updateMany({ user: user._id }, { $unset: { user: '' } });
+
+  await User.updateOne({ _id: user._id }, { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } });
+};
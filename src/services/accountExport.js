@@ -0,0 +1,93 @@
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const { buildZip } = require('../utils/zip');
+
+const EVENT_FIELDS = 'title startDate endDate location status';
+
+// Everything stored about a user, grouped by kind, for a data access request
+exports.collectAccountData = async (user) => {
+  const [
+    registrations,
+    transfers,
+    waitlist,
+    notifications,
+    notificationPreferences,
+    organizerApplications,
+    organizations,
+    organizedEvents
+  ] = await Promise.all([
+    Registration.find({ user: user._id })
+      .populate('event', EVENT_FIELDS)
+      .populate('occurrence', 'startDate endDate status')
+      .sort({ createdAt: 1 })
+      .lean(),
+    TicketTransfer.find({ $or: [{ fromUser: user._id }, { toUser: user._id }, { toEmail: user.email }] })
+      .select('-tokenHash')
+      .populate('event', 'title')
+      .sort({ createdAt: 1 })
+      .lean(),
+    WaitlistEntry.find({ user: user._id }).populate('event', 'title').sort({ createdAt: 1 }).lean(),
+    Notification.find({ user: user._id }).select('-deliveries').sort({ createdAt: 1 }).lean(),
+    NotificationPreference.findOne({ user: user._id }).lean(),
+    OrganizerApplication.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    Organization.find({ 'members.user': user._id }).select('name members').lean(),
+    Event.find({ organizer: user._id }).select(`${EVENT_FIELDS} organization createdAt`).sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toObject(),
+    // The QR codes are kept in registrations, so tickets list them separately
+    registrations: registrations.map(({ qrCode, ...registration }) => registration),
+    tickets: registrations
+      .filter(r => r.qrCode && r.status === 'active')
+      .map(r => ({
+        registration: r._id,
+        event: r.event?.title,
+        startDate: (r.occurrence || r.event)?.startDate,
+        tickets: r.tickets,
+        checkedIn: r.checkInStatus,
+        qrCode: r.qrCode
+      })),
+    transfers,
+    waitlist,
+    notifications,
+    notificationPreferences,
+    organizerApplications,
+    organizations: organizations.map(o => ({
+      _id: o._id,
+      name: o.name,
+      role: o.members.find(m => m.user.equals(user._id)).role
+    })),
+    organizedEvents
+  };
+};
+
+// The same data as a ZIP: one JSON file per kind, and each ticket's QR code as a PNG
+exports.accountZip = (data) => {
+  const { exportedAt, tickets, ...sections } = data;
+  const files = Object.entries(sections).map(([name, value]) => ({
+    name: `${name}.json`,
+    data: JSON.stringify(value, null, 2)
+  }));
+  files.unshift({ name: 'export.json', data: JSON.stringify({ exportedAt }, null, 2) });
+
+  files.push({
+    name: 'tickets.json',
+    data: JSON.stringify(tickets.map(({ qrCode, ...ticket }) => ticket), null, 2)
+  });
+  for (const ticket of tickets) {
+    const [, base64] = ticket.qrCode.match(/^data:image\/png;base64,(.+)$/) || [];
+    if (base64) {
+      files.push({ name: `tickets/${ticket.registration}.png`, data: Buffer.from(base64, 'base64') });
+    }
+  }
+
+  return buildZip(files);
+};
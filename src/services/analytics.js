@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const EventActivity = require('../models/EventActivity');
+const { countTickets } = require('./inventory');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const ticketLines = (tickets = []) => tickets.map(t => ({
+  ticketType: t.ticketType,
+  quantity: t.quantity,
+  amount: round(t.price * t.quantity)
+}));
+
+// Append an activity. Registration-based types take the registration and derive
+// tickets, quantity and amount from it.
+exports.recordActivity = async (type, { event, user, registration, amount, sold, at } = {}) => {
+  return EventActivity.create({
+    event: event?._id || event || registration?.event?._id || registration?.event,
+    type,
+    user: user?._id || user || registration?.user?._id || registration?.user,
+    registration: registration?._id,
+    tickets: ticketLines(registration?.tickets),
+    quantity: registration ? countTickets(registration.tickets) : 0,
+    amount: amount ?? (registration ? registration.totalAmount : 0),
+    sold,
+    at
+  });
+};
+
+// Fire-and-forget logging for request handlers; analytics must never fail a request
+exports.trackActivity = (type, data) => {
+  exports.recordActivity(type, data)
+    .catch(err => console.log('Activity log error:', err));
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Match stage for one event (eventId), a list of them or all of them, within an
+// optional time range
+const activityMatch = ({ eventId, from, to }, types) => {
+  const match = { type: { $in: types } };
+  if (Array.isArray(eventId)) match.event = { $in: eventId.map(toObjectId) };
+  else if (eventId) match.event = toObjectId(eventId);
+  if (from || to) {
+    match.at = {};
+    if (from) match.at.$gte = from;
+    if (to) match.at.$lte = to;
+  }
+  return match;
+};
+
+const period = (interval) => ({
+  $dateTrunc: { date: '$at', unit: interval, ...(interval === 'week' && { startOfWeek: 'monday' }) }
+});
+
+// Tickets sold and revenue per day or week, split by ticket type, with refunds
+exports.salesSeries = async ({ eventId, from, to, interval = 'day' }) => {
+  const [sales, refunds] = await Promise.all([
+    EventActivity.aggregate([
+      { $match: activityMatch({ eventId, from, to }, ['payment_completed']) },
+      { $unwind: '$tickets' },
+      {
+        $group: {
+          _id: { period: period(interval), ticketType: '$tickets.ticketType' },
+          tickets: { $sum: '$tickets.quantity' },
+          revenue: { $sum: '$tickets.amount' }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.ticketType': 1 } }
+    ]),
+    EventActivity.aggregate([
+      { $match: activityMatch({ eventId, from, to }, ['refund_issued']) },
+      { $group: { _id: period(interval), refunds: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const periods = new Map();
+  const bucket = (date) => {
+    const key = date.toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, { period: date, tickets: 0, revenue: 0, refunds: 0, byTicketType: [] });
+    }
+    return periods.get(key);
+  };
+
+  for (const row of sales) {
+    const entry = bucket(row._id.period);
+    entry.tickets += row.tickets;
+    entry.revenue = round(entry.revenue + row.revenue);
+    entry.byTicketType.push({ ticketType: row._id.ticketType, tickets: row.tickets, revenue: round(row.revenue) });
+  }
+  for (const row of refunds) {
+    bucket(row._id).refunds = round(row.refunds);
+  }
+
+  return [...periods.values()]
+    .sort((a, b) => a.period - b.period)
+    .map(entry => ({ ...entry, netRevenue: round(entry.revenue - entry.refunds) }));
+};
+
+const rate = (part, whole) => whole > 0 ? round((part / whole) * 100) : 0;
+
+// How many views turned into started registrations and paid ones
+exports.conversionFunnel = async ({ eventId, from, to }) => {
+  const counts = await EventActivity.aggregate([
+    { $match: activityMatch({ eventId, from, to }, ['view', 'registration_started', 'payment_completed']) },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+  const count = (type) => counts.find(c => c._id === type)?.count || 0;
+
+  const views = count('view');
+  const started = count('registration_started');
+  const paid = count('payment_completed');
+
+  return {
+    views,
+    registrationsStarted: started,
+    paymentsCompleted: paid,
+    viewToRegistrationRate: rate(started, views),
+    registrationToPaidRate: rate(paid, started),
+    viewToPaidRate: rate(paid, views)
+  };
+};
+
+// Check-ins per hour or day, and the share of paid registrations checked in so far
+exports.checkInSeries = async ({ eventId, from, to, interval = 'hour' }) => {
+  const [series, totals] = await Promise.all([
+    EventActivity.aggregate([
+      { $match: activityMatch({ eventId, from, to }, ['check_in', 'check_in_undone']) },
+      {
+        $group: {
+          _id: period(interval),
+          checkIns: { $sum: { $cond: [{ $eq: ['$type', 'check_in'] }, 1, 0] } },
+          undone: { $sum: { $cond: [{ $eq: ['$type', 'check_in_undone'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    EventActivity.aggregate([
+      { $match: activityMatch({ eventId }, ['payment_completed', 'registration_cancelled', 'check_in', 'check_in_undone']) },
+      {
+        $group: {
+          _id: null,
+          paid: { $sum: { $cond: [{ $eq: ['$type', 'payment_completed'] }, 1, 0] } },
+          cancelled: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$type', 'registration_cancelled'] }, '$sold'] }, 1, 0] }
+          },
+          // Check-ins before the requested range, so the running total starts right
+          before: {
+            $sum: {
+              $cond: [
+                { $and: [{ $lt: ['$at', from || new Date(0)] }, { $in: ['$type', ['check_in', 'check_in_undone']] }] },
+                { $cond: [{ $eq: ['$type', 'check_in'] }, 1, -1] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const expected = (totals[0]?.paid || 0) - (totals[0]?.cancelled || 0);
+  let checkedIn = totals[0]?.before || 0;
+
+  return {
+    expected,
+    series: series.map(row => {
+      checkedIn += row.checkIns - row.undone;
+      return {
+        period: row._id,
+        checkIns: row.checkIns,
+        undone: row.undone,
+        checkedIn,
+        checkInRate: rate(checkedIn, expected)
+      };
+    })
+  };
+};
+
+// Recompute an event's running counters. Tickets and revenue come from the
+// registrations themselves, so sales made before the activity log existed still
+// count. Views were only ever logged, so the counter is kept when the log has fewer.
+exports.rebuildCounters = async (eventId) => {
+  const [[sales], [logged]] = await Promise.all([
+    Registration.aggregate([
+      {
+        $match: {
+          event: toObjectId(eventId),
+          status: { $ne: 'transferred' },
+          // Late payments for released holds never counted and are being refunded
+          'pendingRefund.type': { $ne: 'late_payment' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          // Registrations older than inventory tracking hold their tickets while active
+          sold: {
+            $sum: {
+              $cond: [
+                {
+                  $eq: [
+                    { $ifNull: ['$inventoryStatus', { $cond: [{ $eq: ['$status', 'active'] }, 'sold', 'released'] }] },
+                    'sold'
+                  ]
+                },
+                { $sum: '$tickets.quantity' },
+                0
+              ]
+            }
+          },
+          revenue: {
+            $sum: {
+              $cond: [
+                { $in: ['$paymentStatus', ['completed', 'partially_refunded', 'refunded']] },
+                { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]),
+    EventActivity.aggregate([
+      { $match: { event: toObjectId(eventId), type: 'view' } },
+      { $group: { _id: null, views: { $sum: 1 } } }
+    ])
+  ]);
+
+  const current = await Event.findById(eventId).select('analytics');
+  if (!current) return null;
+
+  const analytics = {
+    views: Math.max(logged?.views || 0, current.analytics?.views || 0),
+    totalTicketsSold: sales?.sold || 0,
+    totalRevenue: round(sales?.revenue || 0)
+  };
+
+  const event = await Event.findByIdAndUpdate(eventId, {
+    $set: {
+      'analytics.views': analytics.views,
+      'analytics.totalTicketsSold': analytics.totalTicketsSold,
+      'analytics.totalRevenue': analytics.totalRevenue
+    }
+  });
+
+  return event && { previous: event.analytics, rebuilt: analytics };
+};
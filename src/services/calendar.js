@@ -0,0 +1,123 @@
+const { buildCalendar } = require('../utils/ical');
+const { clientUrl } = require('./mailer');
+
+// Zone of countries that only have one, by ISO code and English name. Events in
+// other countries need location.timezone, or are written in UTC.
+const COUNTRY_TIMEZONES = {
+  at: 'Europe/Vienna', austria: 'Europe/Vienna',
+  be: 'Europe/Brussels', belgium: 'Europe/Brussels',
+  ch: 'Europe/Zurich', switzerland: 'Europe/Zurich',
+  cz: 'Europe/Prague', 'czech republic': 'Europe/Prague', czechia: 'Europe/Prague',
+  de: 'Europe/Berlin', germany: 'Europe/Berlin',
+  dk: 'Europe/Copenhagen', denmark: 'Europe/Copenhagen',
+  fi: 'Europe/Helsinki', finland: 'Europe/Helsinki',
+  fr: 'Europe/Paris', france: 'Europe/Paris',
+  gb: 'Europe/London', uk: 'Europe/London', 'united kingdom': 'Europe/London',
+  gr: 'Europe/Athens', greece: 'Europe/Athens',
+  ie: 'Europe/Dublin', ireland: 'Europe/Dublin',
+  it: 'Europe/Rome', italy: 'Europe/Rome',
+  nl: 'Europe/Amsterdam', netherlands: 'Europe/Amsterdam',
+  no: 'Europe/Oslo', norway: 'Europe/Oslo',
+  pl: 'Europe/Warsaw', poland: 'Europe/Warsaw',
+  se: 'Europe/Stockholm', sweden: 'Europe/Stockholm',
+  eg: 'Africa/Cairo', egypt: 'Africa/Cairo',
+  gh: 'Africa/Accra', ghana: 'Africa/Accra',
+  ke: 'Africa/Nairobi', kenya: 'Africa/Nairobi',
+  ng: 'Africa/Lagos', nigeria: 'Africa/Lagos',
+  za: 'Africa/Johannesburg', 'south africa': 'Africa/Johannesburg',
+  ae: 'Asia/Dubai', 'united arab emirates': 'Asia/Dubai',
+  in: 'Asia/Kolkata', india: 'Asia/Kolkata',
+  jp: 'Asia/Tokyo', japan: 'Asia/Tokyo',
+  kr: 'Asia/Seoul', 'south korea': 'Asia/Seoul',
+  sg: 'Asia/Singapore', singapore: 'Asia/Singapore',
+  cn: 'Asia/Shanghai', china: 'Asia/Shanghai',
+  nz: 'Pacific/Auckland', 'new zealand': 'Pacific/Auckland'
+};
+
+exports.eventTimezone = (event) => event.location?.timezone ||
+  COUNTRY_TIMEZONES[String(event.location?.country || '').trim().toLowerCase()] ||
+  'UTC';
+
+const domain = () => new URL(process.env.CLIENT_URL || 'http://localhost:3000').hostname;
+
+// Stable across feeds, so a session is the same calendar entry wherever it appears
+const eventUid = (event, occurrence) => occurrence
+  ? `occurrence-${occurrence._id}@${domain()}`
+  : `event-${event._id}@${domain()}`;
+
+const formatLocation = ({ venue, address, city, country }) => [venue, address, city, country].filter(Boolean).join(', ');
+
+// Clients replace an entry when its SEQUENCE goes up; the last change in seconds always does
+const sequence = (...docs) => Math.max(...docs.filter(Boolean).map(doc => Math.floor(doc.updatedAt / 1000) || 0));
+
+// The event (or one of its sessions) as a calendar entry
+const eventEntry = (event, occurrence, extra = {}) => {
+  const cancelled = event.status === 'cancelled' || occurrence?.status === 'cancelled';
+  return {
+    uid: eventUid(event, occurrence),
+    tz: exports.eventTimezone(event),
+    start: (occurrence || event).startDate,
+    end: (occurrence || event).endDate,
+    summary: cancelled ? `Cancelled: ${event.title}` : event.title,
+    description: event.description,
+    location: formatLocation(event.location),
+    url: clientUrl(`/events/${event._id}`),
+    lastModified: (occurrence || event).updatedAt,
+    sequence: sequence(event, occurrence),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    ...extra
+  };
+};
+
+// Calendar of one event: the event itself, or each session of a recurring event,
+// plus its schedule items linked to it
+exports.eventCalendar = (event, occurrences = []) => {
+  const entries = occurrences.length
+    ? occurrences.map(occurrence => eventEntry(event, occurrence))
+    : [eventEntry(event)];
+
+  const parent = eventUid(event);
+  for (const item of event.schedule || []) {
+    entries.push({
+      uid: `schedule-${item._id}@${domain()}`,
+      tz: exports.eventTimezone(event),
+      start: item.startTime,
+      end: item.endTime,
+      summary: `${event.title}: ${item.title}`,
+      description: [item.description, item.speaker && `Speaker: ${item.speaker}`].filter(Boolean).join('\n\n'),
+      location: item.location || formatLocation(event.location),
+      relatedTo: parent,
+      lastModified: event.updatedAt,
+      sequence: sequence(event),
+      status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    });
+  }
+
+  return buildCalendar({ name: event.title, events: entries });
+};
+
+// Calendar of a user's registrations (with event and occurrence populated). Several
+// registrations for the same event or session become one entry.
+exports.registrationsCalendar = (name, registrations) => {
+  const entries = new Map();
+
+  for (const registration of registrations) {
+    const { event, occurrence } = registration;
+    if (!event) continue;
+
+    const uid = eventUid(event, occurrence);
+    if (entries.has(uid)) continue;
+
+    const tickets = registration.tickets.map(t => `${t.quantity} x ${t.ticketType}`).join(', ');
+    entries.set(uid, eventEntry(event, occurrence, {
+      description: [
+        `Tickets: ${tickets}`,
+        `Your ticket: ${clientUrl(`/registrations/${registration._id}`)}`,
+        event.description
+      ].filter(Boolean).join('\n\n'),
+      sequence: sequence(event, occurrence, registration)
+    }));
+  }
+
+  return buildCalendar({ name, events: [...entries.values()] });
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const ApiError = require('../utils/ApiError');
+const { parseCsv } = require('../utils/csv');
+const { OPTIONS } = require('../middleware/validate');
+const { createEvent } = require('../validators/eventValidators');
+const { geocodeEvent } = require('./geocoding');
+
+const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS) || 500;
+
+// CSV cells holding several values, separated by ";"
+const LIST_COLUMNS = ['tags', 'images', 'videos'];
+
+// Compact CSV notation for nested lists, one item per ";" and fields split by "|":
+//   ticketTypes: General|25|100; VIP|80|20|Front rows
+//   schedule:    Keynote|2026-05-01T09:00:00Z|2026-05-01T10:00:00Z|Speaker|Room A
+// A cell starting with "[" is read as a JSON array instead.
+const NESTED_COLUMNS = {
+  ticketTypes: ['name', 'price', 'quantity', 'description'],
+  schedule: ['title', 'startTime', 'endTime', 'speaker', 'location'],
+  discountRules: null
+};
+
+const parseNested = (column, cell) => {
+  if (cell.startsWith('[')) {
+    return JSON.parse(cell);
+  }
+
+  const fields = NESTED_COLUMNS[column];
+  if (!fields) {
+    throw new Error('must be a JSON array');
+  }
+
+  return cell.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+    const values = item.split('|').map(v => v.trim());
+    return Object.fromEntries(fields.map((f, i) => [f, values[i]]).filter(([, v]) => v));
+  });
+};
+
+// Turn CSV text into { rows, errors }; headers may use dots for nested fields
+// (location.city, refundPolicy.fullRefundDays)
+exports.rowsFromCsv = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw ApiError.badRequest(`Malformed CSV: ${error.message}`, 'INVALID_IMPORT');
+  }
+
+  const headers = records.shift();
+  if (!headers) {
+    throw ApiError.badRequest('CSV has no header row', 'INVALID_IMPORT');
+  }
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const row = {};
+    headers.forEach((header, i) => {
+      const column = header.trim();
+      const cell = (record[i] || '').trim();
+      if (!column || cell === '') return;
+
+      let value = cell;
+      try {
+        if (LIST_COLUMNS.includes(column)) {
+          value = cell.split(';').map(v => v.trim()).filter(Boolean);
+        } else if (column in NESTED_COLUMNS) {
+          value = parseNested(column, cell);
+        }
+      } catch (error) {
+        errors.push({ row: index + 1, field: column, message: `${column} ${error.message}`, code: 'parse' });
+        return;
+      }
+
+      const path = column.split('.');
+      let target = row;
+      for (const key of path.slice(0, -1)) {
+        target = target[key] = target[key] || {};
+      }
+      target[path.at(-1)] = value;
+    });
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+// Same rule as creating a single event: only members may add events to an
+// organization. Lookups are cached per import, keyed by organization id.
+const organizationError = async (organizationId, organizerId, organizations) => {
+  const key = String(organizationId);
+  if (!organizations.has(key)) {
+    organizations.set(key, await Organization.findById(organizationId).select('members'));
+  }
+
+  const organization = organizations.get(key);
+  if (!organization) {
+    return { field: 'organization', message: 'Organization not found', code: 'not_found' };
+  }
+  if (!organization.memberRole(organizerId)) {
+    return { field: 'organization', message: 'You are not a member of this organization', code: 'forbidden' };
+  }
+  return null;
+};
+
+// Check one row against the request schema and the Event model, returning
+// the unsaved event or the problems found
+const validateRow = async (row, organizerId, organizations) => {
+  const { error, value } = createEvent.body.validate(row, OPTIONS);
+  if (error) {
+    return {
+      errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message, code: d.type }))
+    };
+  }
+
+  if (value.organization) {
+    const membershipError = await organizationError(value.organization, organizerId, organizations);
+    if (membershipError) {
+      return { errors: [membershipError] };
+    }
+  }
+
+  const event = new Event({ ...value, organizer: organizerId });
+  await geocodeEvent(event);
+  try {
+    await event.validate();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.ValidationError)) throw err;
+    return {
+      errors: Object.values(err.errors).map(e => ({ field: e.path, message: e.message, code: e.kind }))
+    };
+  }
+
+  return { event };
+};
+
+// Validate and create events. Rows are numbered from 1 in the order given.
+//   dryRun: only validate
+//   atomic: create every event or none, inside a transaction
+// Otherwise valid rows are created and invalid ones reported.
+exports.importEvents = async (rows, organizerId, { dryRun = false, atomic = false, parseErrors = [] } = {}) => {
+  if (rows.length === 0) {
+    throw ApiError.badRequest('Nothing to import', 'INVALID_IMPORT');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw ApiError.badRequest(`At most ${MAX_IMPORT_ROWS} events can be imported at once`, 'INVALID_IMPORT');
+  }
+
+  const errors = [...parseErrors];
+  const failedRows = new Set(parseErrors.map(e => e.row));
+  const valid = [];
+  const organizations = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    if (failedRows.has(index + 1)) continue;
+
+    const result = await validateRow(row, organizerId, organizations);
+    if (result.errors) {
+      errors.push(...result.errors.map(e => ({ row: index + 1, ...e })));
+      failedRows.add(index + 1);
+    } else {
+      valid.push({ row: index + 1, event: result.event });
+    }
+  }
+
+  const report = {
+    dryRun,
+    atomic,
+    total: rows.length,
+    valid: valid.length,
+    invalid: failedRows.size,
+    created: [],
+    errors: errors.sort((a, b) => a.row - b.row)
+  };
+
+  if (dryRun) return report;
+
+  if (atomic) {
+    if (errors.length) {
+      throw ApiError.validation(report.errors, `Import rejected: ${failedRows.size} row(s) failed validation`);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Event.insertMany(valid.map(v => v.event), { session });
+      });
+    } catch (error) {
+      // Standalone servers have no transactions
+      if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+        throw new ApiError(501, 'TRANSACTIONS_UNAVAILABLE',
+          'All-or-nothing imports need MongoDB running as a replica set');
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    for (const item of valid) {
+      try {
+        await item.event.save();
+      } catch (error) {
+        report.errors.push({ row: item.row, field: null, message: error.message, code: 'save' });
+        failedRows.add(item.row);
+        item.event = null;
+      }
+    }
+  }
+
+  report.created = valid
+    .filter(v => v.event)
+    .map(v => ({ row: v.row, id: v.event._id, title: v.event.title }));
+  await User.moveCreatedEvents(report.created.map(c => c.id), null, organizerId);
+  report.invalid = failedRows.size;
+  report.errors.sort((a, b) => a.row - b.row);
+
+  return report;
+};
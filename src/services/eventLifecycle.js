@@ -0,0 +1,98 @@
+const ApiError = require('../utils/ApiError');
+const { eventRole } = require('./eventPermissions');
+
+// Allowed status changes and who may make them. `organizer` is the event's owner (or an
+// owner or admin of its organization), `co_organizer` a collaborator or organization
+// member acting in that role, `system` covers automatic changes (an event ending, a
+// published event being edited).
+const TRANSITIONS = {
+  draft: {
+    submitted: ['organizer', 'co_organizer'],
+    cancelled: ['organizer', 'admin']
+  },
+  submitted: {
+    draft: ['organizer', 'co_organizer'],
+    approved: ['admin'],
+    rejected: ['admin'],
+    cancelled: ['organizer', 'admin']
+  },
+  rejected: {
+    draft: ['organizer', 'co_organizer'],
+    submitted: ['organizer', 'co_organizer'],
+    cancelled: ['organizer', 'admin']
+  },
+  approved: {
+    published: ['organizer', 'co_organizer', 'admin'],
+    draft: ['organizer', 'co_organizer'],
+    submitted: ['system'],
+    cancelled: ['organizer', 'admin']
+  },
+  published: {
+    submitted: ['system'],
+    completed: ['admin', 'system'],
+    cancelled: ['organizer', 'admin']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Fields whose change sends an approved or published event back to review
+const KEY_FIELDS = ['title', 'description', 'category', 'startDate', 'endDate', 'location'];
+
+// Transitions that need an explanation in the review history
+const REASON_REQUIRED = ['rejected', 'cancelled'];
+
+exports.TRANSITIONS = TRANSITIONS;
+exports.KEY_FIELDS = KEY_FIELDS;
+
+// Roles the user acts in for this event; admins may also act as the organizer
+const rolesFor = (event, user) => {
+  if (!user) return ['system'];
+
+  const roles = [];
+  const role = eventRole(event, user);
+  if (user.role === 'admin') roles.push('admin', 'organizer');
+  if (role === 'owner') roles.push('organizer');
+  if (role === 'co_organizer') roles.push('co_organizer');
+  return roles;
+};
+
+exports.allowedTransitions = (event, user) => {
+  const roles = rolesFor(event, user);
+  return Object.entries(TRANSITIONS[event.status] || {})
+    .filter(([, allowed]) => allowed.some(role => roles.includes(role)))
+    .map(([to]) => to);
+};
+
+// Move the event to `to`, recording the change in its review history.
+// Pass no user for automatic (system) transitions. The caller saves the event.
+exports.transition = (event, to, user, reason) => {
+  const from = event.status;
+  const allowed = (TRANSITIONS[from] || {})[to];
+
+  if (!allowed) {
+    throw ApiError.conflict(`Cannot move event from ${from} to ${to}`, 'INVALID_TRANSITION');
+  }
+  if (!allowed.some(role => rolesFor(event, user).includes(role))) {
+    throw ApiError.forbidden(`Not authorized to move event from ${from} to ${to}`);
+  }
+  if (REASON_REQUIRED.includes(to) && !reason) {
+    throw ApiError.validation([{ field: 'body.reason', message: 'reason is required', code: 'any.required' }]);
+  }
+
+  event.status = to;
+  if (['approved', 'published', 'completed'].includes(to)) {
+    event.isApproved = true;
+  } else if (to !== 'cancelled') {
+    event.isApproved = false;
+  }
+  event.reviewHistory.push({ from, to, by: user ? user._id : undefined, reason, at: new Date() });
+
+  return event;
+};
+
+// Whether pending (unsaved) edits touch fields that need another review
+exports.needsReReview = (event) => {
+  return ['approved', 'published'].includes(event.status) &&
+    KEY_FIELDS.some(field => event.isModified(field));
+};
@@ -0,0 +1,63 @@
+const ApiError = require('../utils/ApiError');
+
+// What each collaborator role may do on a single event. The organizer who owns the
+// event and admins may do everything, including the owner-only permissions below.
+const ROLE_PERMISSIONS = {
+  co_organizer: ['event:edit', 'sales:view', 'checkin'],
+  finance: ['sales:view', 'refunds:issue'],
+  door_staff: ['checkin']
+};
+
+// Only the owner (or an admin) may cancel or delete the event, manage its team and
+// hand it over to someone else
+const OWNER_PERMISSIONS = ['event:cancel', 'collaborators:manage', 'event:transfer'];
+
+// How members of the organization that owns an event act on it
+const ORGANIZATION_ROLES = {
+  owner: 'owner',
+  admin: 'owner',
+  member: 'co_organizer'
+};
+
+// Populate option that loads what eventRole needs to know about the organization
+exports.ORGANIZATION_MEMBERS = { path: 'organization', select: 'name members' };
+
+exports.ROLES = Object.keys(ROLE_PERMISSIONS);
+exports.PERMISSIONS = [...new Set([...Object.values(ROLE_PERMISSIONS).flat(), ...OWNER_PERMISSIONS])];
+
+const sameId = (a, b) => String(a?._id || a) === String(b);
+
+// The user's relation to the event: 'owner', 'admin', a collaborator role or null.
+// Organization roles count only when event.organization is populated with its members;
+// a collaborator role on the event itself wins over plain membership.
+exports.eventRole = (event, user) => {
+  if (!user) return null;
+  if (sameId(event.organizer, user.id)) return 'owner';
+  if (user.role === 'admin') return 'admin';
+
+  const member = (event.organization?.members || []).find(m => sameId(m.user, user.id));
+  const organizationRole = member && ORGANIZATION_ROLES[member.role];
+  if (organizationRole === 'owner') return 'owner';
+
+  const collaborator = (event.collaborators || []).find(c => sameId(c.user, user.id));
+  if (collaborator) return collaborator.role;
+  if (organizationRole) return organizationRole;
+
+  // Door staff added before collaborator roles existed
+  if ((event.staff || []).some(s => sameId(s, user.id))) return 'door_staff';
+
+  return null;
+};
+
+exports.can = (event, user, permission) => {
+  const role = exports.eventRole(event, user);
+  if (role === 'owner' || role === 'admin') return true;
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// Throw 403 unless the user may do `permission` on the event
+exports.authorizeEvent = (event, user, permission) => {
+  if (!exports.can(event, user, permission)) {
+    throw ApiError.forbidden();
+  }
+};
@@ -0,0 +1,131 @@
+const Event = require('../models/Event');
+const { afterCursor, decodeCursor, projection, sortStage, toPage } = require('../utils/listQuery');
+
+// Radius Mongo uses for spherical geometry
+const EARTH_RADIUS_KM = 6378.1;
+
+// [key, upper bound] on an event's cheapest ticket
+const PRICE_BANDS = [
+  ['free', 0.01],
+  ['under_25', 25],
+  ['25_50', 50],
+  ['50_100', 100],
+  ['100_250', 250]
+];
+const TOP_PRICE_BAND = '250_plus';
+
+const DATE_BUCKETS = ['past', 'today', 'next_7_days', 'next_30_days', 'later'];
+
+// Public sort names and the computed or stored fields behind them
+exports.SORTS = {
+  date: 'startDate',
+  createdAt: 'createdAt',
+  title: 'title',
+  price: 'minPrice',
+  distance: 'distance',
+  relevance: '-score'
+};
+
+exports.withinRadius = ({ lat, lng }, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] }
+});
+
+const radians = (expr) => ({ $degreesToRadians: expr });
+
+// Great-circle distance in km from a point to the event (haversine)
+const distanceFrom = ({ lat, lng }) => {
+  const eventLng = radians({ $arrayElemAt: ['$location.geo.coordinates', 0] });
+  const eventLat = radians({ $arrayElemAt: ['$location.geo.coordinates', 1] });
+  const halfSin = (a, b) => ({ $pow: [{ $sin: { $divide: [{ $subtract: [a, b] }, 2] } }, 2] });
+  const lat0 = lat * Math.PI / 180;
+  const lng0 = lng * Math.PI / 180;
+
+  return {
+    $multiply: [2 * EARTH_RADIUS_KM, {
+      $asin: {
+        $sqrt: {
+          $add: [
+            halfSin(eventLat, lat0),
+            { $multiply: [Math.cos(lat0), { $cos: eventLat }, halfSin(eventLng, lng0)] }
+          ]
+        }
+      }
+    }]
+  };
+};
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const dateBucket = (now) => {
+  const today = startOfUtcDay(now);
+  const day = 24 * 60 * 60 * 1000;
+  return {
+    $switch: {
+      branches: [
+        { case: { $lt: ['$startDate', today] }, then: 'past' },
+        { case: { $lt: ['$startDate', new Date(today.getTime() + day)] }, then: 'today' },
+        { case: { $lt: ['$startDate', new Date(today.getTime() + 7 * day)] }, then: 'next_7_days' },
+        { case: { $lt: ['$startDate', new Date(today.getTime() + 30 * day)] }, then: 'next_30_days' }
+      ],
+      default: 'later'
+    }
+  };
+};
+
+const priceBand = {
+  $switch: {
+    branches: PRICE_BANDS.map(([key, upper]) => ({ case: { $lt: ['$minPrice', upper] }, then: key })),
+    default: TOP_PRICE_BAND
+  }
+};
+
+// Counts keyed by value, listing every known key even when it has none
+const countsOf = (rows, keys = []) => {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const { _id, count } of rows) counts[_id] = count;
+  return counts;
+};
+
+// One page of events matching `query` ({ data, pageInfo }), with facet counts for
+// the filter sidebar. `near` adds each event's distance in km; `search` must already
+// be part of `query` as $text for relevance sorting.
+exports.searchEvents = async (query, { near, sort, cursor, limit, fields, now = new Date() }) => {
+  const computed = { minPrice: { $ifNull: [{ $min: '$ticketTypes.price' }, 0] } };
+  if (near) computed.distance = distanceFrom(near);
+  if (query.$text) computed.score = { $meta: 'textScore' };
+
+  const [result] = await Event.aggregate([
+    { $match: query },
+    { $addFields: computed },
+    {
+      $facet: {
+        events: [
+          ...(cursor ? [{ $match: afterCursor(sort, decodeCursor(cursor, sort)) }] : []),
+          { $sort: sortStage(sort) },
+          { $limit: limit + 1 },
+          ...(fields ? [{ $project: Object.fromEntries(projection(fields, sort).split(' ').map(f => [f, 1])) }] : [])
+        ],
+        total: [{ $count: 'count' }],
+        category: [{ $sortByCount: '$category' }],
+        city: [{ $sortByCount: '$location.city' }, { $limit: 20 }],
+        price: [{ $group: { _id: priceBand, count: { $sum: 1 } } }],
+        date: [{ $group: { _id: dateBucket(now), count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const events = await Event.populate(result.events, [
+    { path: 'organizer', select: 'name email' },
+    { path: 'organization', select: 'name' }
+  ]);
+
+  return {
+    ...toPage(events, { sort, limit, total: result.total[0]?.count || 0 }),
+    facets: {
+      category: countsOf(result.category),
+      city: result.city.map(({ _id, count }) => ({ city: _id, count })),
+      price: countsOf(result.price, [...PRICE_BANDS.map(([key]) => key), TOP_PRICE_BAND]),
+      date: countsOf(result.date, DATE_BUCKETS)
+    }
+  };
+};
@@ -0,0 +1,207 @@
+// Offline geocoder: city centres of major cities. Good enough to place an event on
+// the map for radius search; plug in a real geocoder for street-level precision.
+
+const COUNTRIES = {
+  AE: ['united arab emirates', 'uae'],
+  AR: ['argentina'],
+  AT: ['austria'],
+  AU: ['australia'],
+  BE: ['belgium'],
+  BR: ['brazil'],
+  CA: ['canada'],
+  CH: ['switzerland'],
+  CN: ['china'],
+  CO: ['colombia'],
+  CZ: ['czech republic', 'czechia'],
+  DE: ['germany'],
+  DK: ['denmark'],
+  EG: ['egypt'],
+  ES: ['spain'],
+  FI: ['finland'],
+  FR: ['france'],
+  GB: ['united kingdom', 'uk', 'great britain', 'england', 'scotland'],
+  GH: ['ghana'],
+  GR: ['greece'],
+  HU: ['hungary'],
+  ID: ['indonesia'],
+  IE: ['ireland'],
+  IL: ['israel'],
+  IN: ['india'],
+  IT: ['italy'],
+  JP: ['japan'],
+  KE: ['kenya'],
+  KR: ['south korea', 'korea'],
+  MX: ['mexico'],
+  MY: ['malaysia'],
+  NG: ['nigeria'],
+  NL: ['netherlands', 'the netherlands'],
+  NO: ['norway'],
+  NZ: ['new zealand'],
+  PH: ['philippines'],
+  PL: ['poland'],
+  PT: ['portugal'],
+  SE: ['sweden'],
+  SG: ['singapore'],
+  TH: ['thailand'],
+  TR: ['turkey', 'türkiye'],
+  US: ['united states', 'united states of america', 'usa'],
+  ZA: ['south africa']
+};
+
+// [city, country code, lat, lng]
+const CITIES = [
+  ['Dubai', 'AE', 25.2048, 55.2708],
+  ['Abu Dhabi', 'AE', 24.4539, 54.3773],
+  ['Buenos Aires', 'AR', -34.6037, -58.3816],
+  ['Vienna', 'AT', 48.2082, 16.3738],
+  ['Sydney', 'AU', -33.8688, 151.2093],
+  ['Melbourne', 'AU', -37.8136, 144.9631],
+  ['Brisbane', 'AU', -27.4698, 153.0251],
+  ['Perth', 'AU', -31.9505, 115.8605],
+  ['Brussels', 'BE', 50.8503, 4.3517],
+  ['Antwerp', 'BE', 51.2194, 4.4025],
+  ['São Paulo', 'BR', -23.5505, -46.6333],
+  ['Rio de Janeiro', 'BR', -22.9068, -43.1729],
+  ['Toronto', 'CA', 43.6532, -79.3832],
+  ['Montreal', 'CA', 45.5017, -73.5673],
+  ['Vancouver', 'CA', 49.2827, -123.1207],
+  ['Calgary', 'CA', 51.0447, -114.0719],
+  ['Ottawa', 'CA', 45.4215, -75.6972],
+  ['Zurich', 'CH', 47.3769, 8.5417],
+  ['Geneva', 'CH', 46.2044, 6.1432],
+  ['Beijing', 'CN', 39.9042, 116.4074],
+  ['Shanghai', 'CN', 31.2304, 121.4737],
+  ['Shenzhen', 'CN', 22.5431, 114.0579],
+  ['Bogotá', 'CO', 4.7110, -74.0721],
+  ['Prague', 'CZ', 50.0755, 14.4378],
+  ['Berlin', 'DE', 52.5200, 13.4050],
+  ['Hamburg', 'DE', 53.5511, 9.9937],
+  ['Munich', 'DE', 48.1351, 11.5820],
+  ['Cologne', 'DE', 50.9375, 6.9603],
+  ['Frankfurt', 'DE', 50.1109, 8.6821],
+  ['Stuttgart', 'DE', 48.7758, 9.1829],
+  ['Düsseldorf', 'DE', 51.2277, 6.7735],
+  ['Leipzig', 'DE', 51.3397, 12.3731],
+  ['Copenhagen', 'DK', 55.6761, 12.5683],
+  ['Cairo', 'EG', 30.0444, 31.2357],
+  ['Madrid', 'ES', 40.4168, -3.7038],
+  ['Barcelona', 'ES', 41.3874, 2.1686],
+  ['Valencia', 'ES', 39.4699, -0.3763],
+  ['Seville', 'ES', 37.3891, -5.9845],
+  ['Helsinki', 'FI', 60.1699, 24.9384],
+  ['Paris', 'FR', 48.8566, 2.3522],
+  ['Lyon', 'FR', 45.7640, 4.8357],
+  ['Marseille', 'FR', 43.2965, 5.3698],
+  ['Toulouse', 'FR', 43.6047, 1.4442],
+  ['Nice', 'FR', 43.7102, 7.2620],
+  ['London', 'GB', 51.5074, -0.1278],
+  ['Manchester', 'GB', 53.4808, -2.2426],
+  ['Birmingham', 'GB', 52.4862, -1.8904],
+  ['Edinburgh', 'GB', 55.9533, -3.1883],
+  ['Glasgow', 'GB', 55.8642, -4.2518],
+  ['Liverpool', 'GB', 53.4084, -2.9916],
+  ['Bristol', 'GB', 51.4545, -2.5879],
+  ['Accra', 'GH', 5.6037, -0.1870],
+  ['Athens', 'GR', 37.9838, 23.7275],
+  ['Budapest', 'HU', 47.4979, 19.0402],
+  ['Jakarta', 'ID', -6.2088, 106.8456],
+  ['Dublin', 'IE', 53.3498, -6.2603],
+  ['Tel Aviv', 'IL', 32.0853, 34.7818],
+  ['Mumbai', 'IN', 19.0760, 72.8777],
+  ['Delhi', 'IN', 28.7041, 77.1025],
+  ['New Delhi', 'IN', 28.6139, 77.2090],
+  ['Bangalore', 'IN', 12.9716, 77.5946],
+  ['Bengaluru', 'IN', 12.9716, 77.5946],
+  ['Hyderabad', 'IN', 17.3850, 78.4867],
+  ['Chennai', 'IN', 13.0827, 80.2707],
+  ['Kolkata', 'IN', 22.5726, 88.3639],
+  ['Pune', 'IN', 18.5204, 73.8567],
+  ['Rome', 'IT', 41.9028, 12.4964],
+  ['Milan', 'IT', 45.4642, 9.1900],
+  ['Naples', 'IT', 40.8518, 14.2681],
+  ['Turin', 'IT', 45.0703, 7.6869],
+  ['Florence', 'IT', 43.7696, 11.2558],
+  ['Tokyo', 'JP', 35.6762, 139.6503],
+  ['Osaka', 'JP', 34.6937, 135.5023],
+  ['Kyoto', 'JP', 35.0116, 135.7681],
+  ['Nairobi', 'KE', -1.2921, 36.8219],
+  ['Seoul', 'KR', 37.5665, 126.9780],
+  ['Busan', 'KR', 35.1796, 129.0756],
+  ['Mexico City', 'MX', 19.4326, -99.1332],
+  ['Guadalajara', 'MX', 20.6597, -103.3496],
+  ['Kuala Lumpur', 'MY', 3.1390, 101.6869],
+  ['Lagos', 'NG', 6.5244, 3.3792],
+  ['Abuja', 'NG', 9.0765, 7.3986],
+  ['Amsterdam', 'NL', 52.3676, 4.9041],
+  ['Rotterdam', 'NL', 51.9244, 4.4777],
+  ['The Hague', 'NL', 52.0705, 4.3007],
+  ['Utrecht', 'NL', 52.0907, 5.1214],
+  ['Oslo', 'NO', 59.9139, 10.7522],
+  ['Auckland', 'NZ', -36.8485, 174.7633],
+  ['Wellington', 'NZ', -41.2865, 174.7762],
+  ['Manila', 'PH', 14.5995, 120.9842],
+  ['Warsaw', 'PL', 52.2297, 21.0122],
+  ['Kraków', 'PL', 50.0647, 19.9450],
+  ['Lisbon', 'PT', 38.7223, -9.1393],
+  ['Porto', 'PT', 41.1579, -8.6291],
+  ['Stockholm', 'SE', 59.3293, 18.0686],
+  ['Gothenburg', 'SE', 57.7089, 11.9746],
+  ['Singapore', 'SG', 1.3521, 103.8198],
+  ['Bangkok', 'TH', 13.7563, 100.5018],
+  ['Istanbul', 'TR', 41.0082, 28.9784],
+  ['Ankara', 'TR', 39.9334, 32.8597],
+  ['New York', 'US', 40.7128, -74.0060],
+  ['Los Angeles', 'US', 34.0522, -118.2437],
+  ['Chicago', 'US', 41.8781, -87.6298],
+  ['Houston', 'US', 29.7604, -95.3698],
+  ['Phoenix', 'US', 33.4484, -112.0740],
+  ['Philadelphia', 'US', 39.9526, -75.1652],
+  ['San Antonio', 'US', 29.4241, -98.4936],
+  ['San Diego', 'US', 32.7157, -117.1611],
+  ['Dallas', 'US', 32.7767, -96.7970],
+  ['Austin', 'US', 30.2672, -97.7431],
+  ['San Jose', 'US', 37.3382, -121.8863],
+  ['San Francisco', 'US', 37.7749, -122.4194],
+  ['Seattle', 'US', 47.6062, -122.3321],
+  ['Denver', 'US', 39.7392, -104.9903],
+  ['Washington', 'US', 38.9072, -77.0369],
+  ['Boston', 'US', 42.3601, -71.0589],
+  ['Nashville', 'US', 36.1627, -86.7816],
+  ['Atlanta', 'US', 33.7490, -84.3880],
+  ['Miami', 'US', 25.7617, -80.1918],
+  ['Las Vegas', 'US', 36.1699, -115.1398],
+  ['Portland', 'US', 45.5152, -122.6784],
+  ['Minneapolis', 'US', 44.9778, -93.2650],
+  ['New Orleans', 'US', 29.9511, -90.0715],
+  ['Detroit', 'US', 42.3314, -83.0458],
+  ['Johannesburg', 'ZA', -26.2041, 28.0473],
+  ['Cape Town', 'ZA', -33.9249, 18.4241],
+  ['Durban', 'ZA', -29.8587, 31.0218]
+];
+
+// Lower-case and without accents, so "Dusseldorf" finds Düsseldorf
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+const countryCode = (country) => {
+  const name = normalize(country);
+  if (COUNTRIES[name.toUpperCase()]) return name.toUpperCase();
+  return Object.keys(COUNTRIES).find(code => COUNTRIES[code].some(alias => normalize(alias) === name));
+};
+
+const index = new Map();
+for (const [city, code, lat, lng] of CITIES) {
+  index.set(`${normalize(city)}|${code}`, { lat, lng });
+}
+
+module.exports = {
+  name: 'gazetteer',
+  geocode: async ({ city, country }) => {
+    const code = countryCode(country);
+    if (!code || !city) return null;
+    return index.get(`${normalize(city)}|${code}`) || null;
+  }
+};
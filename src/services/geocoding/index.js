@@ -0,0 +1,38 @@
+// Geocoders turn an event location into coordinates. Every geocoder implements:
+//   name
+//   geocode({ venue, address, city, state, country, zipCode }) -> { lat, lng } or null
+const geocoders = {
+  gazetteer: require('./gazetteer')
+};
+
+exports.registerGeocoder = (geocoder) => {
+  geocoders[geocoder.name] = geocoder;
+};
+
+exports.getGeocoder = (name = process.env.GEOCODER || 'gazetteer') => {
+  const geocoder = geocoders[name];
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return geocoder;
+};
+
+exports.toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Fill in location.geo when the organizer didn't give coordinates. A location the
+// geocoder can't place stays without them; the event just won't show up in radius search.
+exports.geocodeEvent = async (event) => {
+  const { location } = event;
+  if (!location || location.geo?.coordinates?.length) return event;
+
+  try {
+    const found = await exports.getGeocoder().geocode(location);
+    if (found) {
+      event.set('location.geo', exports.toPoint(found));
+    }
+  } catch (error) {
+    console.log('Geocoding error:', error.message);
+  }
+
+  return event;
+};
@@ -0,0 +1,107 @@
+const Event = require('../models/Event');
+const EventOccurrence = require('../models/EventOccurrence');
+
+const HOLD_TTL_MINUTES = Number(process.env.HOLD_TTL_MINUTES) || 15;
+
+// Merge duplicate ticket type lines so each type is counted once per update
+const groupTickets = (tickets) => {
+  const totals = new Map();
+  for (const t of tickets) {
+    totals.set(t.ticketType, (totals.get(t.ticketType) || 0) + t.quantity);
+  }
+  return [...totals].map(([ticketType, quantity]) => ({ ticketType, quantity }));
+};
+
+const countTickets = (tickets) => tickets.reduce((sum, t) => sum + t.quantity, 0);
+
+// Expression resolving to the named ticket type sub-document
+const ticketTypeExpr = (name) => ({
+  $arrayElemAt: [{ $filter: { input: '$ticketTypes', cond: { $eq: ['$$this.name', name] } } }, 0]
+});
+
+// Build an update that applies `fields` increments to each ticket type through array filters
+const buildIncrement = (tickets, fields) => {
+  const $inc = {};
+  const arrayFilters = [];
+
+  tickets.forEach((t, i) => {
+    for (const [field, sign] of Object.entries(fields)) {
+      $inc[`ticketTypes.$[t${i}].${field}`] = sign * t.quantity;
+    }
+    arrayFilters.push({ [`t${i}.name`]: t.ticketType });
+  });
+
+  return { $inc, arrayFilters };
+};
+
+// Recurring events keep inventory per session; everything else on the event itself.
+// Only scheduled sessions accept new holds.
+const target = (eventId, occurrenceId) => occurrenceId
+  ? { Model: EventOccurrence, filter: { _id: occurrenceId }, holdFilter: { _id: occurrenceId, status: 'scheduled' } }
+  : { Model: Event, filter: { _id: eventId }, holdFilter: { _id: eventId } };
+
+exports.HOLD_TTL_MINUTES = HOLD_TTL_MINUTES;
+exports.groupTickets = groupTickets;
+exports.countTickets = countTickets;
+
+exports.holdExpiry = () => new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000);
+
+// Atomically place a hold on the requested tickets. The update only matches when
+// every ticket type still has enough unsold, unheld seats and the event (or session)
+// stays within its total capacity, so concurrent buyers can never oversell.
+// Returns true on success.
+exports.holdTickets = async (eventId, tickets, occurrenceId) => {
+  const grouped = groupTickets(tickets);
+  const requested = countTickets(grouped);
+
+  const conditions = grouped.map(t => ({
+    $let: {
+      vars: { tt: ticketTypeExpr(t.ticketType) },
+      in: {
+        $gte: [
+          { $subtract: ['$$tt.quantity', { $add: ['$$tt.sold', { $ifNull: ['$$tt.held', 0] }] }] },
+          t.quantity
+        ]
+      }
+    }
+  }));
+
+  conditions.push({
+    $lte: [
+      { $add: [{ $sum: '$ticketTypes.sold' }, { $sum: '$ticketTypes.held' }, requested] },
+      '$totalCapacity'
+    ]
+  });
+
+  const { $inc, arrayFilters } = buildIncrement(grouped, { held: 1 });
+
+  const { Model, holdFilter } = target(eventId, occurrenceId);
+  const result = await Model.updateOne(
+    { ...holdFilter, $expr: { $and: conditions } },
+    { $inc },
+    { arrayFilters }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Give held seats back to the pool (hold expired or checkout abandoned)
+exports.releaseHold = async (eventId, tickets, occurrenceId) => {
+  const { $inc, arrayFilters } = buildIncrement(groupTickets(tickets), { held: -1 });
+  const { Model, filter } = target(eventId, occurrenceId);
+  await Model.updateOne(filter, { $inc }, { arrayFilters });
+};
+
+// Turn held seats into sold seats once payment succeeds
+exports.confirmHold = async (eventId, tickets, occurrenceId) => {
+  const { $inc, arrayFilters } = buildIncrement(groupTickets(tickets), { held: -1, sold: 1 });
+  const { Model, filter } = target(eventId, occurrenceId);
+  await Model.updateOne(filter, { $inc }, { arrayFilters });
+};
+
+// Give sold seats back to the pool (paid registration cancelled)
+exports.releaseSold = async (eventId, tickets, occurrenceId) => {
+  const { $inc, arrayFilters } = buildIncrement(groupTickets(tickets), { sold: -1 });
+  const { Model, filter } = target(eventId, occurrenceId);
+  await Model.updateOne(filter, { $inc }, { arrayFilters });
+};
@@ -0,0 +1,15 @@
+// Print outgoing mail to stdout, for local development
+exports.name = 'console';
+
+exports.send = async (message) => {
+  console.log([
+    '---------- outgoing mail ----------',
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text,
+    '-----------------------------------'
+  ].join('\n'));
+
+  return { id: `console-${Date.now()}` };
+};
@@ -0,0 +1,15 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Write each outgoing mail as a JSON file, so tests and local runs can inspect them
+exports.name = 'file';
+
+exports.send = async (message) => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, date: new Date() }, null, 2));
+
+  return { id };
+};
@@ -0,0 +1,32 @@
+// Every transport implements:
+//   name
+//   send({ from, to, subject, text, html }) -> { id }
+const transports = {
+  console: require('./consoleTransport'),
+  file: require('./fileTransport')
+};
+
+exports.registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+exports.getTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+exports.sendMail = async ({ to, subject, text, html }) => {
+  return exports.getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@eventbooking.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Absolute link into the client application
+exports.clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${pathname}`;
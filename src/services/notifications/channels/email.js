@@ -0,0 +1,10 @@
+const { sendMail } = require('../../mailer');
+
+exports.name = 'email';
+
+exports.send = async ({ user, message }) => {
+  if (!user.email) {
+    throw new Error('User has no email address');
+  }
+  await sendMail({ to: user.email, subject: message.title, text: message.body });
+};
@@ -0,0 +1,6 @@
+// In-app delivery is the notification document itself showing up in the inbox
+exports.name = 'in_app';
+
+exports.send = async ({ notification }) => {
+  notification.inbox = true;
+};
@@ -0,0 +1,28 @@
+// SMS goes through a pluggable provider: { name, send({ to, text }) }.
+// The bundled console provider only logs, for local development.
+const providers = {
+  console: {
+    name: 'console',
+    send: async ({ to, text }) => console.log(`SMS to ${to}: ${text}`)
+  }
+};
+
+exports.name = 'sms';
+
+exports.registerSmsProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+exports.send = async ({ user, preference, message }) => {
+  const to = preference.smsNumber || user.phone;
+  if (!to) {
+    throw new Error('No phone number for SMS');
+  }
+
+  const provider = providers[process.env.SMS_PROVIDER || 'console'];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${process.env.SMS_PROVIDER}`);
+  }
+
+  await provider.send({ to, text: `${message.title}: ${message.body}`.slice(0, 320) });
+};
@@ -0,0 +1,35 @@
+// POST the notification as JSON to the URL the user configured
+const { isPublicUrl } = require('../../../utils/publicUrl');
+
+exports.name = 'webhook';
+
+exports.send = async ({ preference, notification, message }) => {
+  if (!preference.webhookUrl) {
+    throw new Error('No webhook URL configured');
+  }
+
+  // Checked again on every send: the host may have been re-pointed since it was saved
+  if (!await isPublicUrl(preference.webhookUrl)) {
+    throw new Error('Webhook URL does not resolve to a public address');
+  }
+
+  const response = await fetch(preference.webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      id: notification._id,
+      type: notification.type,
+      title: message.title,
+      body: message.body,
+      data: notification.data,
+      createdAt: notification.createdAt
+    }),
+    // A redirect could lead anywhere, including back inside the network
+    redirect: 'manual',
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
@@ -0,0 +1,108 @@
+const Notification = require('../../models/Notification');
+const NotificationPreference = require('../../models/NotificationPreference');
+const Registration = require('../../models/Registration');
+const User = require('../../models/User');
+const templates = require('./templates');
+
+// Every channel implements:
+//   name
+//   send({ user, preference, notification, message })
+// and throws when delivery fails.
+const channels = {
+  email: require('./channels/email'),
+  in_app: require('./channels/inApp'),
+  sms: require('./channels/sms'),
+  webhook: require('./channels/webhook')
+};
+
+exports.TYPES = Object.keys(templates);
+exports.CHANNELS = Object.keys(channels);
+
+exports.registerChannel = (channel) => {
+  channels[channel.name] = channel;
+};
+
+// Unsaved defaults for users who never changed their preferences
+exports.getPreferences = async (userId) => {
+  return await NotificationPreference.findOne({ user: userId }) ||
+    new NotificationPreference({ user: userId });
+};
+
+// A per-type override wins over the user's general channel setting
+const channelEnabled = (preference, type, channel) => {
+  const override = preference.types?.get(type)?.[channel];
+  if (typeof override === 'boolean') return override;
+  return Boolean(preference.channels?.[channel]);
+};
+
+// Render a notification and deliver it on every channel the user wants.
+// Delivery failures are recorded on the notification, never thrown.
+exports.notify = async (userOrId, type, data = {}) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const user = userOrId?.email
+    ? userOrId
+    : await User.findById(userOrId).select('name email phone');
+  if (!user) return null;
+
+  const preference = await exports.getPreferences(user._id);
+  const message = template(data);
+
+  const notification = new Notification({
+    user: user._id,
+    type,
+    title: message.title,
+    body: message.body,
+    data: {
+      event: data.event?._id,
+      registration: data.registration?._id
+    }
+  });
+
+  for (const [name, channel] of Object.entries(channels)) {
+    if (!channelEnabled(preference, type, name)) continue;
+
+    try {
+      await channel.send({ user, preference, notification, message });
+      notification.deliveries.push({ channel: name, status: 'sent' });
+    } catch (error) {
+      notification.deliveries.push({ channel: name, status: 'failed', error: error.message });
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+// Fire-and-forget delivery for request handlers
+exports.notifyInBackground = (userOrId, type, data) => {
+  exports.notify(userOrId, type, data)
+    .catch(err => console.log('Notification error:', err));
+};
+
+// Notify everyone holding an active registration for an event, once per user.
+// Returns how many users were notified.
+exports.notifyAttendees = async (event, type, data = {}, filter = {}) => {
+  const cursor = Registration.find({ event: event._id, status: 'active', ...filter })
+    .select('user')
+    .populate('user', 'name email phone')
+    .cursor();
+
+  const seen = new Set();
+  for await (const registration of cursor) {
+    if (!registration.user || seen.has(String(registration.user._id))) continue;
+    seen.add(String(registration.user._id));
+
+    await exports.notify(registration.user, type, { ...data, event, registration });
+  }
+
+  return seen.size;
+};
+
+exports.notifyAttendeesInBackground = (event, type, data, filter) => {
+  exports.notifyAttendees(event, type, data, filter)
+    .catch(err => console.log('Notification error:', err));
+};
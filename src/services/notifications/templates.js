@@ -0,0 +1,98 @@
+const { clientUrl } = require('../mailer');
+
+const formatDate = (date) => new Date(date).toUTCString();
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+// Sessions of recurring events have their own dates
+const startOf = ({ event, occurrence }) => (occurrence || event).startDate;
+
+// Every template receives the data passed to notify() and returns { title, body }
+module.exports = {
+  'registration.created': ({ event, occurrence, registration }) => ({
+    title: `Registration received: ${event.title}`,
+    body: registration.paymentStatus === 'completed'
+      ? `You're registered for ${event.title} on ${formatDate(startOf({ event, occurrence }))}. Your ticket: ${clientUrl(`/registrations/${registration._id}`)}`
+      : `We're holding your tickets for ${event.title}. Complete payment to confirm: ${clientUrl(`/registrations/${registration._id}`)}`
+  }),
+
+  'payment.succeeded': ({ event, occurrence, registration }) => ({
+    title: `Payment confirmed: ${event.title}`,
+    body: `We received your payment of ${formatAmount(registration.totalAmount)}. See you on ${formatDate(startOf({ event, occurrence }))}! Your ticket: ${clientUrl(`/registrations/${registration._id}`)}`
+  }),
+
+  'payment.failed': ({ event, registration }) => ({
+    title: `Payment failed: ${event.title}`,
+    body: `Your payment for ${event.title} did not go through. Your tickets are held until ${formatDate(registration.holdExpiresAt)} - you can retry here: ${clientUrl(`/registrations/${registration._id}`)}`
+  }),
+
+  'registration.cancelled': ({ event, refundAmount }) => ({
+    title: `Registration cancelled: ${event.title}`,
+    body: refundAmount > 0
+      ? `Your registration for ${event.title} was cancelled. A refund of ${formatAmount(refundAmount)} is on its way.`
+      : `Your registration for ${event.title} was cancelled.`
+  }),
+
+  'event.updated': ({ event, changes }) => ({
+    title: `Event updated: ${event.title}`,
+    body: `${event.title} has changed (${changes.join(', ')}). It now starts ${formatDate(event.startDate)} at ${event.location.venue}, ${event.location.city}.`
+  }),
+
+  'event.cancelled': ({ event, reason, refundAmount }) => ({
+    title: `Event cancelled: ${event.title}`,
+    body: [
+      `Unfortunately ${event.title}, scheduled for ${formatDate(event.startDate)}, has been cancelled by the organizer.`,
+      reason && `Reason: ${reason}`,
+      refundAmount > 0
+        ? `A refund of ${formatAmount(refundAmount)} has been issued to your original payment method.`
+        : 'No payment was taken for this registration.',
+      'Your ticket is no longer valid.'
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  'occurrence.rescheduled': ({ event, occurrence, previousStart }) => ({
+    title: `Session moved: ${event.title}`,
+    body: `The ${event.title} session on ${formatDate(previousStart)} now takes place ${formatDate(occurrence.startDate)} - ${formatDate(occurrence.endDate)}. Your ticket stays valid.`
+  }),
+
+  'occurrence.cancelled': ({ event, occurrence, reason, refundAmount }) => ({
+    title: `Session cancelled: ${event.title}`,
+    body: [
+      `The ${event.title} session on ${formatDate(occurrence.startDate)} has been cancelled by the organizer. Other sessions are not affected.`,
+      reason && `Reason: ${reason}`,
+      refundAmount > 0
+        ? `A refund of ${formatAmount(refundAmount)} has been issued to your original payment method.`
+        : 'No payment was taken for this registration.',
+      'Your ticket for this session is no longer valid.'
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  'event.reminder_24h': ({ event, occurrence }) => ({
+    title: `Tomorrow: ${event.title}`,
+    body: `${event.title} starts ${formatDate(startOf({ event, occurrence }))} at ${event.location.venue}, ${event.location.address}, ${event.location.city}.`
+  }),
+
+  'event.reminder_1h': ({ event }) => ({
+    title: `Starting soon: ${event.title}`,
+    body: `${event.title} starts in about an hour at ${event.location.venue}. Have your ticket QR code ready.`
+  }),
+
+  'waitlist.offer': ({ event, entry }) => ({
+    title: `Tickets available: ${event.title}`,
+    body: `Good news - ${entry.quantity} ticket(s) for ${event.title} are being held for you until ${formatDate(entry.offerExpiresAt)}. Register to claim them: ${clientUrl(`/events/${event._id}`)}`
+  }),
+
+  'event.ownership_transferred': ({ event, by }) => ({
+    title: `You now organize ${event.title}`,
+    body: `${by.name} handed ${event.title} over to you. Manage it here: ${clientUrl(`/events/${event._id}`)}`
+  }),
+
+  'organization.member_added': ({ organization, role, addedBy }) => ({
+    title: `You joined ${organization.name}`,
+    body: `${addedBy.name} added you to ${organization.name} as ${role}. You can now help run its events.`
+  }),
+
+  'collaborator.invited': ({ event, invitation, token, inviter }) => ({
+    title: `Join the team for ${event.title}`,
+    body: `${inviter.name} invited you to help run ${event.title} as ${invitation.role.replace('_', ' ')}. Accept before ${formatDate(invitation.expiresAt)}: ${clientUrl(`/invitations/${token}`)}`
+  })
+};
@@ -0,0 +1,165 @@
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const EventOccurrence = require('../../models/EventOccurrence');
+const ApiError = require('../../utils/ApiError');
+const { confirmHold, countTickets } = require('../inventory');
+const { confirmSeats } = require('../seating');
+const { notifyInBackground } = require('../notifications');
+const { trackActivity } = require('../analytics');
+// Not destructured: refunds requires this module too
+const refunds = require('../refunds');
+
+// Every provider implements:
+//   name
+//   createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+//   parseWebhook(rawBody, headers) -> { id, type, intentId, transactionId, amount }
+//     (throws when the signature does not verify)
+//   refund({ intentId, transactionId, amount }) -> { id, amount, status }
+const providers = {
+  mock: require('./mockProvider')
+};
+
+exports.PAYMENT_SUCCEEDED = 'payment.succeeded';
+exports.PAYMENT_FAILED = 'payment.failed';
+
+exports.registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const isDevelopment = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// The mock provider is only a default where it is allowed to run
+const configuredProvider = () => process.env.PAYMENT_PROVIDER || (isDevelopment() ? 'mock' : undefined);
+
+exports.getProvider = (name = configuredProvider()) => {
+  if (!name) {
+    throw new ApiError(503, 'PAYMENTS_UNAVAILABLE', 'Paid registrations are unavailable: no payment provider is configured');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (provider.devOnly && !isDevelopment()) {
+    throw new Error(`The ${name} payment provider only runs with NODE_ENV=development or test; set PAYMENT_PROVIDER`);
+  }
+  return provider;
+};
+
+// Startup check: an unknown or development-only PAYMENT_PROVIDER is a deployment
+// mistake, so it throws. Without one, free registrations still work.
+exports.checkPaymentConfig = () => {
+  const name = configuredProvider();
+  if (!name) {
+    console.log('No PAYMENT_PROVIDER set: paid registrations are disabled');
+    return null;
+  }
+  return exports.getProvider(name);
+};
+
+// Mark a registration paid after the provider confirmed it: turn the seat hold
+// into a sale and count the sale in the event analytics. Safe to call repeatedly.
+exports.markPaid = async (registration, transactionId) => {
+  const paid = await Registration.findOneAndUpdate(
+    { _id: registration._id, inventoryStatus: 'held' },
+    {
+      inventoryStatus: 'sold',
+      paymentStatus: 'completed',
+      transactionId,
+      $unset: { holdExpiresAt: 1 }
+    },
+    { new: true }
+  );
+  if (!paid) return null;
+
+  await confirmHold(paid.event, paid.tickets, paid.occurrence);
+  await confirmSeats(paid._id);
+
+  // Update event analytics
+  await Event.updateOne({ _id: paid.event }, {
+    $inc: {
+      'analytics.totalTicketsSold': countTickets(paid.tickets),
+      'analytics.totalRevenue': paid.totalAmount
+    },
+    $addToSet: { attendees: paid._id }
+  });
+  trackActivity('payment_completed', { registration: paid });
+
+  return paid;
+};
+
+// The provider captured a payment for a registration whose seat hold is already
+// gone (expired, or cancelled with its event). There is nothing left to sell, so the
+// money goes back; if the provider fails, the refund stays pending and is retried.
+exports.refundLatePayment = async (registration, transactionId) => {
+  const late = await Registration.findOneAndUpdate(
+    { _id: registration._id, inventoryStatus: 'released', paymentStatus: { $in: ['pending', 'failed'] } },
+    { paymentStatus: 'completed', transactionId },
+    { new: true }
+  );
+  if (!late) {
+    return { ignored: true, reason: 'Already processed' };
+  }
+
+  const refunded = await refunds.queueRefund(late, late.totalAmount, {
+    type: 'late_payment',
+    reason: 'Payment arrived after the seat hold was released',
+    inRevenue: false
+  });
+  return { registration: refunded || late, refunded: Boolean(refunded) };
+};
+
+// A failed attempt keeps the seat hold so the buyer can retry until it expires
+exports.markFailed = async (registration) => {
+  return Registration.findOneAndUpdate(
+    { _id: registration._id, paymentStatus: { $in: ['pending', 'failed'] } },
+    { paymentStatus: 'failed' },
+    { new: true }
+  );
+};
+
+// Apply a verified, normalized webhook event
+exports.handleWebhookEvent = async (event) => {
+  // Transferred tickets share the intent with their successor; only the current holder counts
+  const registration = await Registration.findOne({
+    paymentIntentId: event.intentId,
+    status: { $ne: 'transferred' }
+  });
+  if (!registration) {
+    return { ignored: true, reason: 'Unknown payment intent' };
+  }
+
+  if (event.type === exports.PAYMENT_SUCCEEDED) {
+    if (registration.paymentStatus === 'completed') {
+      return { ignored: true, reason: 'Already processed' };
+    }
+    if (event.amount !== undefined && event.amount !== registration.totalAmount) {
+      await exports.markFailed(registration);
+      return { ignored: true, reason: 'Amount mismatch' };
+    }
+
+    const paid = await exports.markPaid(registration, event.transactionId);
+    if (!paid) {
+      return exports.refundLatePayment(registration, event.transactionId);
+    }
+    notifyInBackground(paid.user, 'payment.succeeded', {
+      event: await Event.findById(paid.event),
+      occurrence: paid.occurrence && await EventOccurrence.findById(paid.occurrence),
+      registration: paid
+    });
+    return { registration: paid };
+  }
+
+  if (event.type === exports.PAYMENT_FAILED) {
+    const failed = await exports.markFailed(registration);
+    if (!failed) {
+      return { ignored: true, reason: 'Already processed' };
+    }
+    notifyInBackground(failed.user, 'payment.failed', {
+      event: await Event.findById(failed.event),
+      registration: failed
+    });
+    return { registration: failed };
+  }
+
+  return { ignored: true, reason: `Unhandled event type ${event.type}` };
+};
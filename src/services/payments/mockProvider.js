@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Offline provider: intents live only in the caller's database, and webhooks are
+// HMAC-signed JSON bodies in the shape every provider adapter normalizes to.
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+
+exports.name = 'mock';
+
+// Its secret has a public default and it signs webhooks for anyone, so it must
+// never take payments outside development and tests
+exports.devOnly = true;
+
+exports.createPaymentIntent = async ({ amount, currency }) => {
+  const id = `pi_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+  return {
+    id,
+    amount,
+    currency,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    status: 'requires_payment'
+  };
+};
+
+exports.refund = async ({ intentId, amount }) => {
+  return {
+    id: `re_mock_${crypto.randomBytes(12).toString('hex')}`,
+    intentId,
+    amount,
+    status: 'succeeded'
+  };
+};
+
+// Verify the signature over the raw request body and return the normalized event
+exports.parseWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!rawBody || !signature) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const expected = Buffer.from(sign(rawBody));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return {
+    id: event.id,
+    type: event.type,
+    intentId: event.data.intentId,
+    transactionId: event.data.transactionId,
+    amount: event.data.amount
+  };
+};
+
+// Build a signed webhook delivery, as the real provider would send it
+exports.buildWebhook = (type, { intentId, amount }) => {
+  const body = JSON.stringify({
+    id: `evt_mock_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    data: {
+      intentId,
+      amount,
+      transactionId: type === 'payment.succeeded' ? `txn_mock_${crypto.randomBytes(8).toString('hex')}` : undefined
+    }
+  });
+
+  return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+};
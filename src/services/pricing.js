@@ -0,0 +1,145 @@
+const PromoCode = require('../models/PromoCode');
+const Registration = require('../models/Registration');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const appliesTo = (rule, ticketType) => !rule.ticketTypes || rule.ticketTypes.length === 0 ||
+  rule.ticketTypes.includes(ticketType);
+
+// Discount a rule grants on `quantity` tickets at `unitPrice`, never more than their price
+const discountFor = (rule, unitPrice, quantity) => {
+  const amount = rule.discountType === 'percentage'
+    ? unitPrice * quantity * Math.min(rule.value, 100) / 100
+    : Math.min(rule.value, unitPrice) * quantity;
+  return round(amount);
+};
+
+// Look up a promo code and check it can be used by this user right now
+exports.findPromoCode = async (event, code, userId, at = new Date()) => {
+  const promo = await PromoCode.findOne({ event: event._id, code: String(code).toUpperCase().trim() });
+
+  if (!promo || !promo.isActive) {
+    return { error: 'Invalid promo code' };
+  }
+  if (promo.validFrom && promo.validFrom > at) {
+    return { error: 'Promo code is not valid yet' };
+  }
+  if (promo.validUntil && promo.validUntil < at) {
+    return { error: 'Promo code has expired' };
+  }
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    return { error: 'Promo code usage limit reached' };
+  }
+
+  if (promo.perUserLimit) {
+    // Expired holds and unpaid cancellations gave their use back
+    const used = await Registration.countDocuments({
+      event: event._id,
+      user: userId,
+      promoCode: promo.code,
+      $nor: [
+        { status: 'expired' },
+        { status: 'cancelled', paymentStatus: { $in: ['pending', 'failed'] } }
+      ]
+    });
+    if (used >= promo.perUserLimit) {
+      return { error: 'You have already used this promo code' };
+    }
+  }
+
+  return { promo };
+};
+
+// Price the requested tickets. Each line gets the best automatic rule (early bird or
+// group), then the promo code applies to what is left of eligible lines.
+exports.priceTickets = (event, tickets, promo, at = new Date()) => {
+  const quantities = {};
+  for (const t of tickets) {
+    quantities[t.ticketType] = (quantities[t.ticketType] || 0) + t.quantity;
+  }
+
+  const appliedDiscounts = [];
+  let originalAmount = 0;
+  let discountAmount = 0;
+  let promoApplied = false;
+
+  const lines = tickets.map(t => {
+    const unitPrice = event.ticketTypes.find(tt => tt.name === t.ticketType).price;
+    const subtotal = round(unitPrice * t.quantity);
+    let discount = 0;
+
+    let best = null;
+    for (const rule of event.discountRules || []) {
+      if (!appliesTo(rule, t.ticketType)) continue;
+      if (rule.type === 'early_bird' && !(rule.validUntil && rule.validUntil > at)) continue;
+      if (rule.type === 'group' && !(quantities[t.ticketType] >= rule.minQuantity)) continue;
+
+      const amount = discountFor(rule, unitPrice, t.quantity);
+      if (!best || amount > best.amount) best = { rule, amount };
+    }
+    if (best && best.amount > 0) {
+      discount += best.amount;
+      appliedDiscounts.push({
+        source: best.rule.type,
+        label: best.rule.label || best.rule.type.replace('_', ' '),
+        ticketType: t.ticketType,
+        amount: best.amount
+      });
+    }
+
+    if (promo && appliesTo(promo, t.ticketType)) {
+      const remainingUnit = (subtotal - discount) / t.quantity;
+      const amount = discountFor(promo, remainingUnit, t.quantity);
+      promoApplied = true;
+      if (amount > 0) {
+        discount += amount;
+        appliedDiscounts.push({ source: 'promo', label: promo.code, ticketType: t.ticketType, amount });
+      }
+    }
+
+    discount = Math.min(round(discount), subtotal);
+    originalAmount += subtotal;
+    discountAmount += discount;
+
+    return {
+      ticketType: t.ticketType,
+      originalPrice: unitPrice,
+      price: round((subtotal - discount) / t.quantity),
+      quantity: t.quantity
+    };
+  });
+
+  return {
+    tickets: lines,
+    originalAmount: round(originalAmount),
+    discountAmount: round(discountAmount),
+    totalAmount: round(originalAmount - discountAmount),
+    appliedDiscounts,
+    promoApplied
+  };
+};
+
+// Count one use of the code, unless its cap was reached concurrently
+exports.redeemPromoCode = async (promo) => {
+  const redeemed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return Boolean(redeemed);
+};
+
+// Give a use back when a registration is released before it was paid
+exports.releasePromoCode = async (eventId, code) => {
+  if (!code) return;
+  await PromoCode.updateOne(
+    { event: eventId, code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
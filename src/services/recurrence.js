@@ -0,0 +1,191 @@
+const Event = require('../models/Event');
+const EventOccurrence = require('../models/EventOccurrence');
+const { toWallClock, fromWallClock } = require('../utils/ical');
+const { eventTimezone } = require('./calendar');
+
+// Upper bound on generated sessions per series
+const MAX_OCCURRENCES = 200;
+
+// Periods examined at most, for rules that rarely or never produce a date
+const MAX_PERIODS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
+exports.WEEKDAYS = WEEKDAYS;
+
+exports.isRecurring = (event) => Boolean(event.recurrence?.freq);
+
+// Read an iCalendar RRULE such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10"
+exports.parseRRule = (rrule) => {
+  const parts = Object.fromEntries(rrule.replace(/^RRULE:/i, '').split(';')
+    .filter(Boolean)
+    .map(part => {
+      const [key, value = ''] = part.split('=');
+      return [key.trim().toUpperCase(), value.trim()];
+    }));
+
+  const rule = {};
+  if (parts.FREQ) rule.freq = parts.FREQ.toLowerCase();
+  if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+  if (parts.BYDAY) rule.byWeekday = parts.BYDAY.toUpperCase().split(',');
+  if (parts.BYMONTHDAY) rule.byMonthDay = parts.BYMONTHDAY.split(',').map(Number);
+  if (parts.COUNT) rule.count = Number(parts.COUNT);
+  if (parts.UNTIL) {
+    const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    rule.until = m ? new Date(Date.UTC(m[1], m[2] - 1, m[3], m[4] || 23, m[5] || 59, m[6] || 59)) : parts.UNTIL;
+  }
+  return rule;
+};
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The rule back in RRULE notation
+exports.formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${icsDate(rule.until)}`);
+  return parts.join(';');
+};
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+// Start dates of every session. The rule is expanded in the event's time zone, so a
+// session keeps its local time across DST changes. Like RFC 5545, COUNT is applied
+// before the exceptions (EXDATE) are taken out. Exceptions match on the calendar day.
+exports.expandRecurrence = (rule, dtstart, timezone = 'UTC') => {
+  const first = new Date(dtstart);
+  // Local wall-clock time of the first session, in UTC fields
+  const start = toWallClock(first, timezone);
+  const interval = rule.interval || 1;
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const timeOfDay = start.getTime() % DAY_MS;
+  const dates = [];
+  const local = new Map();
+
+  const add = (wall) => {
+    const date = fromWallClock(wall, timezone);
+    if (date < first || dates.length >= limit) return;
+    if (until && date > until) return;
+    dates.push(date);
+    local.set(date.getTime(), utcDay(wall));
+  };
+  let periods = 0;
+  const done = (periodStart) => dates.length >= limit ||
+    (until && fromWallClock(periodStart, timezone) > until) || ++periods > MAX_PERIODS;
+
+  if (rule.freq === 'daily') {
+    for (let i = 0; !done(new Date(start.getTime() + i * interval * DAY_MS)); i++) {
+      add(new Date(start.getTime() + i * interval * DAY_MS));
+    }
+  } else if (rule.freq === 'weekly') {
+    const days = (rule.byWeekday?.length ? rule.byWeekday : [WEEKDAYS[start.getUTCDay()]])
+      // Weeks start on Monday
+      .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+      .sort((a, b) => a - b);
+    const startDay = start.getTime() - timeOfDay;
+    const weekStart = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+
+    for (let week = 0; !done(new Date(weekStart + week * interval * 7 * DAY_MS)); week++) {
+      for (const offset of days) {
+        add(new Date(weekStart + (week * interval * 7 + offset) * DAY_MS + timeOfDay));
+      }
+    }
+  } else if (rule.freq === 'monthly') {
+    const monthDays = rule.byMonthDay?.length ? rule.byMonthDay : [start.getUTCDate()];
+
+    for (let month = 0; !done(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month * interval, 1))); month++) {
+      const year = start.getUTCFullYear();
+      const m = start.getUTCMonth() + month * interval;
+      const length = new Date(Date.UTC(year, m + 1, 0)).getUTCDate();
+
+      // Negative days count from the month's end; days a month doesn't have are skipped
+      const days = monthDays
+        .map(d => (d < 0 ? length + d + 1 : d))
+        .filter(d => d >= 1 && d <= length)
+        .sort((a, b) => a - b);
+      for (const day of [...new Set(days)]) {
+        add(new Date(Date.UTC(year, m, day) + timeOfDay));
+      }
+    }
+  }
+
+  // An exception is a plain date, the session's local day, or the session's exact start
+  const exceptions = (rule.exceptions || []).map(d => new Date(d));
+  return dates.filter(date => !exceptions.some(ex =>
+    utcDay(ex) === local.get(date.getTime()) || ex.getTime() === date.getTime()));
+};
+
+const hasSales = (occurrence) => occurrence.ticketTypes.some(tt => tt.sold + tt.held > 0);
+
+// Bring the stored sessions in line with the event's rule and ticket types: create
+// new sessions, drop unsold ones the rule no longer produces, and give every
+// session the event's ticket types. Sessions with sales are never removed.
+// Also stretches the event's startDate/endDate over the series.
+exports.syncOccurrences = async (event) => {
+  const rule = event.recurrence;
+  const duration = rule.durationMinutes * 60 * 1000;
+  const dates = exports.expandRecurrence(rule, rule.dtstart, eventTimezone(event));
+  const wanted = new Set(dates.map(d => d.getTime()));
+
+  const existing = await EventOccurrence.find({ event: event._id });
+  const byStart = new Map(existing.map(o => [o.originalStartDate.getTime(), o]));
+
+  const report = { created: 0, removed: 0, kept: [] };
+
+  for (const occurrence of existing) {
+    if (wanted.has(occurrence.originalStartDate.getTime()) || occurrence.status === 'cancelled') continue;
+
+    if (hasSales(occurrence)) {
+      report.kept.push(occurrence._id);
+    } else {
+      await occurrence.deleteOne();
+      byStart.delete(occurrence.originalStartDate.getTime());
+      report.removed += 1;
+    }
+  }
+
+  for (const date of dates) {
+    const occurrence = byStart.get(date.getTime());
+    if (!occurrence) {
+      const created = await EventOccurrence.create({
+        event: event._id,
+        originalStartDate: date,
+        startDate: date,
+        endDate: new Date(date.getTime() + duration),
+        totalCapacity: event.totalCapacity,
+        ticketTypes: event.ticketTypes.map(tt => ({ name: tt.name, quantity: tt.quantity }))
+      });
+      byStart.set(date.getTime(), created);
+      report.created += 1;
+      continue;
+    }
+
+    const missing = event.ticketTypes.filter(tt => !occurrence.ticketTypes.some(o => o.name === tt.name));
+    if (missing.length) {
+      occurrence.ticketTypes.push(...missing.map(tt => ({ name: tt.name, quantity: tt.quantity })));
+      await occurrence.save();
+    }
+  }
+
+  await exports.updateSeriesSpan(event._id);
+
+  return report;
+};
+
+// Keep the event's dates covering its scheduled sessions, so listings, completion
+// and reminders keep working on the event as a whole
+exports.updateSeriesSpan = async (eventId) => {
+  const [span] = await EventOccurrence.aggregate([
+    { $match: { event: eventId, status: 'scheduled' } },
+    { $group: { _id: null, start: { $min: '$startDate' }, end: { $max: '$endDate' } } }
+  ]);
+  if (!span) return;
+
+  await Event.updateOne({ _id: eventId }, { startDate: span.start, endDate: span.end });
+};
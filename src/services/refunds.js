@@ -0,0 +1,147 @@
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+// Not destructured: payments requires this module too
+const payments = require('./payments');
+const { trackActivity } = require('./analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_LEASE_MS = 5 * 60 * 1000;
+const MAX_REFUND_ATTEMPTS = Number(process.env.MAX_REFUND_ATTEMPTS) || 10;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+exports.refundableAmount = (registration) => round(registration.totalAmount - (registration.refundedAmount || 0));
+
+// Work out what the event's refund policy grants for a cancellation made at `at`
+exports.calculateRefund = (event, registration, at = new Date()) => {
+  const policy = event.refundPolicy || {};
+  const daysBefore = (event.startDate - at) / DAY_MS;
+  const refundable = exports.refundableAmount(registration);
+
+  let percent = 0;
+  if (daysBefore >= (policy.fullRefundDays ?? 7)) {
+    percent = 100;
+  } else if (daysBefore >= (policy.partialRefundDays ?? 1)) {
+    percent = policy.partialRefundPercent ?? 50;
+  }
+
+  return {
+    percent,
+    amount: round(refundable * percent / 100),
+    daysBeforeStart: Math.floor(daysBefore)
+  };
+};
+
+// Refund `amount` through the payment provider and record it on the registration.
+// Revenue analytics are reduced by the refunded amount only, and not at all for
+// payments that were never counted (inRevenue: false). `pending` settles the
+// registration's pending refund in the same write.
+exports.issueRefund = async (registration, amount, { type, reason, issuedBy, inRevenue = true, pending = false }) => {
+  amount = round(amount);
+
+  if (amount <= 0) {
+    throw new Error('Refund amount must be positive');
+  }
+
+  // Reserve the amount first so concurrent refunds can never exceed what was paid
+  const reserved = await Registration.findOneAndUpdate(
+    {
+      _id: registration._id,
+      paymentStatus: { $in: ['completed', 'partially_refunded'] },
+      // Registrations from before refunds were tracked have no refundedAmount
+      $expr: { $gte: [{ $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] }, amount] }
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new Error('Refund amount exceeds the refundable balance');
+  }
+
+  let result;
+  try {
+    result = await payments.getProvider(registration.paymentProvider).refund({
+      intentId: registration.paymentIntentId,
+      transactionId: registration.transactionId,
+      amount
+    });
+  } catch (error) {
+    await Registration.updateOne({ _id: registration._id }, { $inc: { refundedAmount: -amount } });
+    throw error;
+  }
+
+  const updated = await Registration.findByIdAndUpdate(registration._id, {
+    paymentStatus: round(reserved.refundedAmount) >= reserved.totalAmount ? 'refunded' : 'partially_refunded',
+    $push: { refunds: { amount, type, reason, issuedBy, providerRefundId: result.id } },
+    ...(pending && { $unset: { pendingRefund: 1 } })
+  }, { new: true });
+
+  if (inRevenue) {
+    await Event.updateOne({ _id: registration.event }, {
+      $inc: { 'analytics.totalRevenue': -amount }
+    });
+    trackActivity('refund_issued', { event: registration.event, user: issuedBy, registration: updated, amount });
+  }
+
+  return updated;
+};
+
+// Record that a refund is owed, then try to pay it out. Returns the refunded
+// registration, or null when the provider failed and the refund stays pending for
+// retryPendingRefunds().
+exports.queueRefund = async (registration, amount, { type, reason, issuedBy, inRevenue = true }) => {
+  const queued = await Registration.updateOne(
+    { _id: registration._id, 'pendingRefund.amount': { $exists: false } },
+    { pendingRefund: { amount: round(amount), type, reason, issuedBy, inRevenue, attempts: 0 } }
+  );
+  if (queued.modifiedCount === 0) {
+    throw new Error('A refund is already pending for this registration');
+  }
+
+  return exports.payPendingRefund(registration._id);
+};
+
+// Try to pay out a registration's pending refund; null if it is still pending
+// (the provider failed, or another worker is paying it right now)
+exports.payPendingRefund = async (registrationId) => {
+  const now = new Date();
+  const registration = await Registration.findOneAndUpdate(
+    {
+      _id: registrationId,
+      'pendingRefund.amount': { $gt: 0 },
+      $or: [{ 'pendingRefund.lockedUntil': { $exists: false } }, { 'pendingRefund.lockedUntil': { $lte: now } }]
+    },
+    {
+      'pendingRefund.lockedUntil': new Date(now.getTime() + REFUND_LEASE_MS),
+      $inc: { 'pendingRefund.attempts': 1 }
+    },
+    { new: true }
+  );
+  if (!registration) return null;
+
+  const { amount, type, reason, issuedBy, inRevenue } = registration.pendingRefund;
+  try {
+    return await exports.issueRefund(registration, amount, { type, reason, issuedBy, inRevenue, pending: true });
+  } catch (error) {
+    console.log(`Refund of registration ${registration._id} failed:`, error.message);
+    await Registration.updateOne({ _id: registration._id }, {
+      $set: { 'pendingRefund.lastError': error.message },
+      $unset: { 'pendingRefund.lockedUntil': 1 }
+    });
+    return null;
+  }
+};
+
+// Retry pending refunds; ones that keep failing are left for manual reconciliation
+exports.retryPendingRefunds = async () => {
+  const pending = await Registration.find({
+    'pendingRefund.amount': { $gt: 0 },
+    'pendingRefund.attempts': { $lt: MAX_REFUND_ATTEMPTS }
+  }).select('_id');
+
+  let paid = 0;
+  for (const { _id } of pending) {
+    if (await exports.payPendingRefund(_id)) paid += 1;
+  }
+  return paid;
+};
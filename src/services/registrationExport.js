@@ -0,0 +1,119 @@
+const { once } = require('events');
+const { PassThrough, Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { csvField } = require('../utils/csv');
+
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// Every exportable column: header and how to read it from a lean, user-populated registration
+const COLUMNS = {
+  registrationId: { header: 'Registration ID', value: r => String(r._id) },
+  registeredAt: { header: 'Registered At', value: r => r.createdAt },
+  status: { header: 'Status', value: r => r.status },
+  attendeeName: { header: 'Attendee Name', value: r => r.attendeeInfo?.name || r.user?.name },
+  attendeeEmail: { header: 'Attendee Email', value: r => r.attendeeInfo?.email || r.user?.email },
+  attendeePhone: { header: 'Attendee Phone', value: r => r.attendeeInfo?.phone || r.user?.phone },
+  specialRequirements: { header: 'Special Requirements', value: r => r.attendeeInfo?.specialRequirements },
+  accountEmail: { header: 'Account Email', value: r => r.user?.email },
+  ticketTypes: {
+    header: 'Tickets',
+    value: r => r.tickets.map(t => `${t.ticketType} x${t.quantity}`).join('; ')
+  },
+  seats: {
+    header: 'Seats',
+    value: r => r.tickets.flatMap(t => (t.seats || []).map(s => s.seatId)).join('; ')
+  },
+  quantity: { header: 'Quantity', value: r => r.tickets.reduce((sum, t) => sum + t.quantity, 0) },
+  originalAmount: { header: 'Original Amount', value: r => r.originalAmount ?? r.totalAmount },
+  discountAmount: { header: 'Discount', value: r => r.discountAmount || 0 },
+  promoCode: { header: 'Promo Code', value: r => r.promoCode },
+  totalAmount: { header: 'Amount Paid', value: r => r.totalAmount },
+  refundedAmount: { header: 'Refunded', value: r => r.refundedAmount || 0 },
+  paymentStatus: { header: 'Payment Status', value: r => r.paymentStatus },
+  transactionId: { header: 'Transaction ID', value: r => r.transactionId },
+  checkedIn: { header: 'Checked In', value: r => Boolean(r.checkInStatus) },
+  checkInTime: { header: 'Check-in Time', value: r => r.checkInTime }
+};
+
+exports.EXPORT_COLUMNS = Object.keys(COLUMNS);
+
+exports.DEFAULT_COLUMNS = [
+  'registrationId', 'registeredAt', 'attendeeName', 'attendeeEmail', 'ticketTypes',
+  'quantity', 'totalAmount', 'refundedAmount', 'paymentStatus', 'checkedIn'
+];
+
+// Registration query for the export filters
+exports.exportQuery = (eventId, { status, occurrenceId, ticketType, paid, checkedIn, from, to }) => {
+  const query = { event: eventId };
+
+  if (status !== 'all') query.status = status;
+  if (occurrenceId) query.occurrence = occurrenceId;
+  if (ticketType) query['tickets.ticketType'] = ticketType;
+  if (paid !== undefined) {
+    query.paymentStatus = paid ? { $in: PAID_STATUSES } : { $nin: PAID_STATUSES };
+  }
+  if (checkedIn !== undefined) query.checkInStatus = checkedIn;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  return query;
+};
+
+// Write registrations from a cursor as CSV. pipeline waits for the client when the
+// socket buffer is full, and stops reading and closes the cursor if it goes away.
+exports.streamCsv = async (cursor, columns, res) => {
+  async function* lines() {
+    yield `${columns.map(key => csvField(COLUMNS[key].header)).join(',')}\r\n`;
+    for await (const registration of cursor) {
+      yield `${columns.map(key => csvField(COLUMNS[key].value(registration))).join(',')}\r\n`;
+    }
+  }
+
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Same for Excel; rows are committed one by one so the workbook is never held in
+// memory. The workbook writes into a pipeline to the client, and the loop waits
+// whenever that is backed up, and stops (closing the cursor) if the client goes away.
+exports.streamXlsx = async (cursor, columns, res) => {
+  const output = new PassThrough();
+  const delivered = pipeline(output, res);
+  // Awaited below; this only keeps an early disconnect from being unhandled meanwhile
+  delivered.catch(() => {});
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false
+  });
+  const sheet = workbook.addWorksheet('Registrations');
+  sheet.columns = columns.map(key => ({ header: COLUMNS[key].header, key, width: 20 }));
+
+  try {
+    for await (const registration of cursor) {
+      const row = {};
+      for (const key of columns) {
+        row[key] = COLUMNS[key].value(registration) ?? null;
+      }
+      sheet.addRow(row).commit();
+
+      if (output.destroyed || output.writableNeedDrain) {
+        await Promise.race([once(output, 'drain'), delivered]);
+      }
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    await delivered;
+  } finally {
+    await cursor.close();
+  }
+};
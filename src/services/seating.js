@@ -0,0 +1,119 @@
+const EventSeat = require('../models/EventSeat');
+
+// Ticket type sold for seats of this tier, if the event has reserved seating
+exports.seatedTicketTypes = (event) => new Set((event.seating?.tiers || []).map(t => t.ticketType));
+
+// Replace the event's seat inventory with the venue's seats. Seats in tiers the
+// event doesn't sell are left out. Returns the number of seats per ticket type.
+exports.generateSeats = async (event, venue, tiers) => {
+  const ticketTypeFor = new Map(tiers.map(t => [t.tier, t.ticketType]));
+
+  const seats = venue.listSeats()
+    .filter(seat => ticketTypeFor.has(seat.tier))
+    .map(seat => ({ ...seat, event: event._id, ticketType: ticketTypeFor.get(seat.tier) }));
+
+  await EventSeat.deleteMany({ event: event._id });
+  await EventSeat.insertMany(seats);
+
+  const counts = {};
+  for (const seat of seats) {
+    counts[seat.ticketType] = (counts[seat.ticketType] || 0) + 1;
+  }
+  return counts;
+};
+
+// Whether any seat of the event is held or sold
+exports.seatsInUse = async (eventId) => {
+  return Boolean(await EventSeat.exists({ event: eventId, status: { $ne: 'available' } }));
+};
+
+// Lock specific seats for a registration. Either every requested seat is locked or
+// none: when another buyer got one of them first, the ones taken here are given back.
+// Returns { seats } with the assignments, or { unavailable } with the seat ids that
+// could not be had (taken, unknown, or not of the line's ticket type).
+exports.lockSeats = async (eventId, registrationId, lines) => {
+  const requested = lines.flatMap(l => l.seats);
+  const byLine = lines.map(l => ({ ticketType: l.ticketType, seatId: { $in: l.seats } }));
+
+  const result = await EventSeat.updateMany(
+    { event: eventId, status: 'available', $or: byLine },
+    { status: 'held', registration: registrationId, heldAt: new Date() }
+  );
+
+  if (result.modifiedCount !== requested.length) {
+    await exports.releaseSeats(registrationId);
+
+    const available = await EventSeat.find({ event: eventId, status: 'available', $or: byLine }).distinct('seatId');
+    return { unavailable: requested.filter(seatId => !available.includes(seatId)) };
+  }
+
+  const locked = await EventSeat.find({ registration: registrationId });
+  const assignment = (seatId) => {
+    const seat = locked.find(s => s.seatId === seatId);
+    return { seatId, section: seat.section, row: seat.row, number: seat.number };
+  };
+
+  return { seats: lines.map(l => l.seats.map(assignment)) };
+};
+
+// Seats of a paid registration become sold
+exports.confirmSeats = async (registrationId) => {
+  await EventSeat.updateMany({ registration: registrationId, status: 'held' }, { status: 'sold' });
+};
+
+// Give a registration's seats back (hold expired, cancelled, ...)
+exports.releaseSeats = async (registrationId) => {
+  await EventSeat.updateMany(
+    { registration: registrationId },
+    { status: 'available', $unset: { registration: 1, heldAt: 1 } }
+  );
+};
+
+// Seats follow a ticket when it is transferred
+exports.reassignSeats = async (fromRegistrationId, toRegistrationId) => {
+  await EventSeat.updateMany({ registration: fromRegistrationId }, { registration: toRegistrationId });
+};
+
+// Live seat map: sections, rows and seats with their ticket type, price and
+// whether they can still be bought. Who holds a seat is never exposed.
+exports.seatAvailability = async (event) => {
+  const seats = await EventSeat.find({ event: event._id })
+    .select('seatId section row number tier ticketType accessible status')
+    .sort({ _id: 1 })
+    .lean();
+
+  const prices = new Map(event.ticketTypes.map(tt => [tt.name, tt.price]));
+  const sections = new Map();
+  const tiers = new Map();
+
+  for (const seat of seats) {
+    if (!sections.has(seat.section)) sections.set(seat.section, new Map());
+    const rows = sections.get(seat.section);
+    if (!rows.has(seat.row)) rows.set(seat.row, []);
+
+    const available = seat.status === 'available';
+    rows.get(seat.row).push({
+      seatId: seat.seatId,
+      number: seat.number,
+      tier: seat.tier,
+      ticketType: seat.ticketType,
+      price: prices.get(seat.ticketType),
+      accessible: seat.accessible,
+      available
+    });
+
+    if (!tiers.has(seat.tier)) {
+      tiers.set(seat.tier, { tier: seat.tier, ticketType: seat.ticketType, price: prices.get(seat.ticketType), total: 0, available: 0 });
+    }
+    tiers.get(seat.tier).total += 1;
+    if (available) tiers.get(seat.tier).available += 1;
+  }
+
+  return {
+    tiers: [...tiers.values()],
+    sections: [...sections].map(([name, rows]) => ({
+      name,
+      rows: [...rows].map(([rowName, rowSeats]) => ({ name: rowName, seats: rowSeats }))
+    }))
+  };
+};
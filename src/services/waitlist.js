@@ -0,0 +1,108 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Event = require('../models/Event');
+const { holdTickets, releaseHold } = require('./inventory');
+const { notifyInBackground } = require('./notifications');
+
+const OFFER_TTL_MINUTES = Number(process.env.WAITLIST_OFFER_TTL_MINUTES) || 60;
+
+// Queue a user for a ticket type; returns null when they are already queued
+exports.addToWaitlist = async (eventId, ticketType, userId, quantity) => {
+  const existing = await WaitlistEntry.findOne({
+    event: eventId,
+    ticketType,
+    user: userId,
+    status: { $in: ['waiting', 'offered'] }
+  });
+  if (existing) return null;
+
+  const entry = await WaitlistEntry.create({ event: eventId, ticketType, user: userId, quantity });
+
+  // Seats may already be free again
+  exports.promoteWaitlistInBackground(eventId, ticketType);
+
+  return entry;
+};
+
+// Offer freed seats to the people waiting for them, first come first served.
+// Seats are held for each offered entry so nobody else can take them meanwhile.
+// Promotion stops at the first entry that no longer fits, to keep the queue fair.
+exports.promoteWaitlist = async (eventId, ticketType) => {
+  const ticketTypes = ticketType
+    ? [ticketType]
+    : await WaitlistEntry.distinct('ticketType', { event: eventId, status: 'waiting' });
+
+  let offered = 0;
+  for (const name of ticketTypes) {
+    for (;;) {
+      const next = await WaitlistEntry.findOne({ event: eventId, ticketType: name, status: 'waiting' })
+        .sort({ createdAt: 1 });
+      if (!next) break;
+
+      const held = await holdTickets(eventId, [{ ticketType: name, quantity: next.quantity }]);
+      if (!held) break;
+
+      const now = new Date();
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: next._id, status: 'waiting' },
+        {
+          status: 'offered',
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + OFFER_TTL_MINUTES * 60 * 1000)
+        },
+        { new: true }
+      );
+      if (!entry) {
+        // The user left the queue in the meantime
+        await releaseHold(eventId, [{ ticketType: name, quantity: next.quantity }]);
+        continue;
+      }
+      offered += 1;
+
+      notifyInBackground(entry.user, 'waitlist.offer', {
+        event: await Event.findById(eventId),
+        entry
+      });
+    }
+  }
+
+  return offered;
+};
+
+// Fire-and-forget promotion for request handlers that just freed seats
+exports.promoteWaitlistInBackground = (eventId, ticketType) => {
+  exports.promoteWaitlist(eventId, ticketType)
+    .catch(err => console.log('Waitlist promotion error:', err));
+};
+
+// Take back unclaimed offers and roll the seats to the next person in line
+exports.expireWaitlistOffers = async () => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let count = 0;
+  for (const { _id } of expired) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id, status: 'offered' },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!entry) continue;
+
+    await releaseHold(entry.event, [{ ticketType: entry.ticketType, quantity: entry.quantity }]);
+    await exports.promoteWaitlist(entry.event, entry.ticketType);
+    count += 1;
+  }
+
+  return count;
+};
+
+// Waiting entries and seats per ticket type, for organizer analytics
+exports.waitlistSummary = async (eventId) => {
+  return WaitlistEntry.aggregate([
+    { $match: { event: eventId, status: 'waiting' } },
+    { $group: { _id: '$ticketType', entries: { $sum: 1 }, quantity: { $sum: '$quantity' } } },
+    { $project: { _id: 0, ticketType: '$_id', entries: 1, quantity: 1 } }
+  ]);
+};
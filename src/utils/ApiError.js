@@ -0,0 +1,32 @@
+// Error carrying an HTTP status and a machine-readable code, rendered by the error handler
+class ApiError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+
+  static badRequest(message, code = 'BAD_REQUEST', details) {
+    return new ApiError(400, code, message, details);
+  }
+
+  static forbidden(message = 'Not authorized', code = 'FORBIDDEN') {
+    return new ApiError(403, code, message);
+  }
+
+  static notFound(message = 'Resource not found', code = 'NOT_FOUND') {
+    return new ApiError(404, code, message);
+  }
+
+  static conflict(message, code = 'CONFLICT', details) {
+    return new ApiError(409, code, message, details);
+  }
+
+  static validation(details, message = 'Validation failed') {
+    return new ApiError(422, 'VALIDATION_ERROR', message, details);
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,12 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record who did what to which document
+exports.logAction = async (actor, action, target, details) => {
+  return AuditLog.create({
+    actor: actor ? actor._id : undefined,
+    action,
+    targetType: target.constructor.modelName,
+    targetId: target._id,
+    details
+  });
+};
@@ -0,0 +1,221 @@
+// Minimal iCalendar (RFC 5545) writer
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+exports.isValidTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const formatterFor = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(tz);
+};
+
+// Wall-clock fields of an instant in a timezone
+const localParts = (date, tz) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+};
+
+// UTC offset of a timezone at an instant, in minutes
+const offsetAt = (time, tz) => {
+  const p = localParts(new Date(time), tz);
+  const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+// An instant as a Date whose UTC fields read the wall-clock time in tz, so
+// calendar arithmetic (days, weeks, months) can be done with the UTC methods
+exports.toWallClock = (date, tz) => {
+  const p = localParts(new Date(date), tz);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+};
+
+// The instant a wall-clock time from toWallClock names in tz. Times skipped by a
+// DST change come out shifted by the change.
+exports.fromWallClock = (wall, tz) => {
+  const time = wall.getTime();
+  const offset = offsetAt(time, tz);
+  const adjusted = offsetAt(time - offset * 60000, tz);
+  return new Date(time - adjusted * 60000);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 20261102T093000Z
+exports.formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261102T103000, wall-clock time in tz (for DTSTART;TZID=...)
+exports.formatLocal = (date, tz) => {
+  const p = localParts(new Date(date), tz);
+  return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+};
+
+// Same as formatLocal, for a fixed offset in minutes
+const formatWithOffset = (time, offset) => exports.formatUtc(time + offset * 60000).slice(0, -1);
+
+const formatOffset = (offset) => {
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// Offset changes of a timezone between two instants, found day by day and then
+// narrowed to the minute
+const transitions = (tz, from, to) => {
+  const found = [];
+  let previous = offsetAt(from, tz);
+
+  for (let time = from + DAY_MS; time <= to + DAY_MS; time += DAY_MS) {
+    const offset = offsetAt(time, tz);
+    if (offset === previous) continue;
+
+    let low = time - DAY_MS;
+    let high = time;
+    while (high - low > 60000) {
+      const mid = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(mid, tz) === previous) low = mid;
+      else high = mid;
+    }
+    found.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return found;
+};
+
+// VTIMEZONE for the period the calendar's dates fall in. Each observed offset
+// change is listed as its own STANDARD or DAYLIGHT component.
+exports.vtimezone = (tz, dates) => {
+  const times = dates.map(date => new Date(date).getTime());
+  const from = Math.min(...times) - DAY_MS;
+  const to = Math.max(...times);
+  const changes = transitions(tz, from, to);
+  const initial = offsetAt(from, tz);
+
+  const component = (type, start, offsetFrom, offsetTo) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${type}`
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  const initialType = changes.length && changes[0].to < changes[0].from ? 'DAYLIGHT' : 'STANDARD';
+  lines.push(...component(initialType, formatWithOffset(from, initial), initial, initial));
+  for (const change of changes) {
+    lines.push(...component(change.to > change.from ? 'DAYLIGHT' : 'STANDARD',
+      formatWithOffset(change.at, change.from), change.from, change.to));
+  }
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
+exports.escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// never splitting a multi-byte character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+    chunk += char;
+    size += bytes;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+// A VEVENT; times are written in `tz` unless it is UTC
+const vevent = (event, tz) => {
+  const time = (name, date) => tz === 'UTC'
+    ? `${name}:${exports.formatUtc(date)}`
+    : `${name};TZID=${tz}:${exports.formatLocal(date, tz)}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${exports.formatUtc(event.stamp || new Date())}`,
+    time('DTSTART', event.start),
+    time('DTEND', event.end),
+    `SUMMARY:${exports.escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${exports.escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${exports.escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.relatedTo) lines.push(`RELATED-TO:${event.relatedTo}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${exports.formatUtc(event.lastModified)}`);
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Serialize a calendar of { uid, start, end, tz, summary, ... } entries, adding a
+// VTIMEZONE for every zone in use. `refresh` is how often subscribers should re-fetch.
+exports.buildCalendar = ({ name, events, refresh = 'PT1H' }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//online_event_backend//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${exports.escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${refresh}`,
+    `X-PUBLISHED-TTL:${refresh}`
+  ];
+
+  const zones = new Map();
+  for (const event of events) {
+    if (event.tz === 'UTC') continue;
+    if (!zones.has(event.tz)) zones.set(event.tz, []);
+    zones.get(event.tz).push(event.start, event.end);
+  }
+  for (const [tz, dates] of zones) {
+    lines.push(...exports.vtimezone(tz, dates));
+  }
+
+  for (const event of events) {
+    lines.push(...vevent(event, event.tz));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
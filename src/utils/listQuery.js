@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError');
+
+// Shared paging for list endpoints. Lists are ordered by one whitelisted field plus
+// _id, and the next page starts after the last item of the previous one, so pages
+// stay cheap and stable while documents are added.
+
+// Turn "field" or "-field" into { key, field, direction }. `sorts` maps the public
+// names to "[-]path", so a name can sort on another path or descend by default.
+exports.parseSort = (value, sorts) => {
+  const descending = value.startsWith('-');
+  const spec = sorts[descending ? value.slice(1) : value];
+  if (!spec) return null;
+
+  const field = spec.replace(/^-/, '');
+  const direction = (spec.startsWith('-') ? -1 : 1) * (descending ? -1 : 1);
+  return { key: value, field, direction };
+};
+
+const valueAt = (doc, field) => typeof doc.get === 'function'
+  ? doc.get(field)
+  : field.split('.').reduce((obj, key) => obj?.[key], doc);
+
+// Opaque token for "after this document" in the given sort
+exports.encodeCursor = (doc, sort) => {
+  const value = valueAt(doc, sort.field);
+  return Buffer.from(JSON.stringify({
+    s: sort.key,
+    v: value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+    id: String(doc._id)
+  })).toString('base64url');
+};
+
+exports.decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || !mongoose.isValidObjectId(decoded.id)) {
+    throw ApiError.badRequest('Invalid cursor', 'INVALID_CURSOR');
+  }
+  if (decoded.s !== sort.key) {
+    throw ApiError.badRequest('Cursor belongs to a different sort order', 'INVALID_CURSOR');
+  }
+
+  const value = decoded.v?.$date ? new Date(decoded.v.$date) : decoded.v;
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+// Filter for documents after the cursor. Mongo sorts missing values first, so they
+// come before every value ascending and after every value descending.
+exports.afterCursor = ({ field, direction }, { value, id }) => {
+  const next = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const after = [{ [field]: { [next]: value } }, { [field]: value, _id: { [next]: id } }];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+};
+
+exports.sortStage = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+// Projection for `fields=`; the sort field is kept so the cursor can be built
+exports.projection = (fields, sort) => [...new Set([...fields, sort.field])].join(' ');
+
+// Cut one extra document off the results and describe the page
+exports.toPage = (docs, { sort, limit, total }) => {
+  const hasNextPage = docs.length > limit;
+  const data = docs.slice(0, limit);
+
+  const pageInfo = {
+    limit,
+    hasNextPage,
+    nextCursor: hasNextPage ? exports.encodeCursor(data[data.length - 1], sort) : null
+  };
+  if (total !== undefined) pageInfo.total = total;
+
+  return { data, pageInfo };
+};
+
+// Run a Mongoose find query one page at a time, using the validated list
+// parameters ({ cursor, limit, sort, fields, count }). Returns { data, pageInfo }.
+exports.paginate = async (query, { cursor, limit, sort, fields, count }) => {
+  const total = count ? await query.model.countDocuments(query.getFilter()) : undefined;
+
+  if (cursor) {
+    query.and([exports.afterCursor(sort, exports.decodeCursor(cursor, sort))]);
+  }
+  if (fields) {
+    query.projection(null);
+    query.select(exports.projection(fields, sort));
+  }
+
+  const docs = await query.sort(exports.sortStage(sort)).limit(limit + 1);
+
+  return exports.toPage(docs, { sort, limit, total });
+};
@@ -0,0 +1,47 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses a user-supplied URL must never reach: loopback, private networks,
+// link-local (cloud metadata lives at 169.254.169.254), multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Whether an http(s) URL resolves only to public addresses
+const isPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPublicAddress(host);
+
+  try {
+    const addresses = await dns.lookup(host, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch {
+    return false;
+  }
+};
+
+module.exports = { isPublicAddress, isPublicUrl };
@@ -0,0 +1,2 @@
+// Escape user input for use as a literal inside a RegExp
+exports.escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const getSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// Encode a ticket payload as `<base64url json>.<hmac>`
+exports.signTicketPayload = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+// Return the decoded payload, or null when the signature does not match
+exports.verifyTicketPayload = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [data, signature] = token.trim().split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign the registration's current ticket identity and render it as a QR data URL.
+// Bumping `qrVersion` before calling this invalidates previously issued codes.
+// Reserved seats are listed under `s`, the booked session of a recurring event under `o`.
+exports.generateTicketQr = async (registration) => {
+  const payload = {
+    r: registration._id.toString(),
+    e: registration.event._id ? registration.event._id.toString() : registration.event.toString(),
+    u: registration.user._id ? registration.user._id.toString() : registration.user.toString(),
+    v: registration.qrVersion || 1
+  };
+
+  if (registration.occurrence) {
+    payload.o = registration.occurrence.toString();
+  }
+
+  const seats = registration.tickets.flatMap(t => (t.seats || []).map(s => s.seatId));
+  if (seats.length) {
+    payload.s = seats;
+  }
+
+  return QRCode.toDataURL(exports.signTicketPayload(payload));
+};
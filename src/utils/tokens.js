@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token understood by `protect`
+const signAccessToken = (user) => {
+  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Persist a new refresh token, optionally continuing an existing family
+const createRefreshToken = async (user, req, family, token = generateRefreshToken()) => {
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return token;
+};
+
+// Issue an access/refresh token pair for a freshly authenticated user
+exports.issueTokenPair = async (user, req, family, refreshToken = generateRefreshToken()) => {
+  await createRefreshToken(user, req, family, refreshToken);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated token
+// means it leaked, so the whole family is revoked and the caller must log in again.
+// The old token is claimed atomically before the new pair exists, so of two
+// concurrent refreshes with the same token only one succeeds; the other counts as reuse.
+exports.rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) }).populate('user');
+
+  if (!stored || !stored.user) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (stored.revokedAt && stored.revokedReason !== 'rotated') {
+    return { error: 'Refresh token revoked' };
+  }
+
+  if (!stored.revokedAt && stored.expiresAt <= Date.now()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  const refreshToken = generateRefreshToken();
+  const claimed = !stored.revokedAt && await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: hashToken(refreshToken) }
+  );
+
+  if (!claimed) {
+    await RefreshToken.updateMany(
+      { family: stored.family, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+    );
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  const tokens = await exports.issueTokenPair(stored.user, req, stored.family, refreshToken);
+
+  return { user: stored.user, tokens };
+};
+
+// Revoke a single refresh token (one device)
+exports.revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every outstanding refresh token of a user (all devices)
+exports.revokeAllRefreshTokens = async (userId, reason = 'logout-all') => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const AuditLog = require('../models/AuditLog');
+const { objectId, idParams, dateRange, listQuery } = require('./common');
+
+exports.dashboard = {
+  query: Joi.object({
+    ...dateRange,
+    interval: Joi.string().valid('day', 'week').default('day')
+  })
+};
+
+exports.rebuildAnalytics = {
+  body: Joi.object({
+    eventId: objectId
+  })
+};
+
+exports.listUsers = {
+  query: Joi.object({
+    role: Joi.string().valid(...User.schema.path('role').enumValues),
+    isSuspended: Joi.boolean(),
+    // Erased accounts are listed only when asked for
+    deleted: Joi.boolean().default(false),
+    ...listQuery({ model: User, sorts: ['createdAt', 'name', 'email'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.userId = {
+  params: idParams
+};
+
+exports.approveEvent = {
+  params: idParams,
+  body: Joi.object({
+    isApproved: Joi.boolean().required(),
+    reason: Joi.string().trim().max(1000).when('isApproved', { is: false, then: Joi.required() })
+  })
+};
+
+exports.changeRole = {
+  params: idParams,
+  body: Joi.object({
+    role: Joi.string().valid(...User.schema.path('role').enumValues).required()
+  })
+};
+
+exports.suspendUser = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().max(500)
+  })
+};
+
+exports.listApplications = {
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected'),
+    ...listQuery({ model: OrganizerApplication, sorts: ['createdAt', 'reviewedAt'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.reviewApplication = {
+  params: idParams,
+  body: Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().max(1000)
+  })
+};
+
+exports.listAuditLogs = {
+  query: Joi.object({
+    action: Joi.string(),
+    targetId: objectId,
+    ...listQuery({ model: AuditLog, sorts: ['createdAt'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.listRegistrations = {
+  query: Joi.object({
+    event: objectId,
+    user: objectId,
+    status: Joi.string().valid(...Registration.schema.path('status').enumValues),
+    paymentStatus: Joi.string().valid(...Registration.schema.path('paymentStatus').enumValues),
+    ...listQuery({ model: Registration, sorts: ['createdAt', 'totalAmount'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.listEvents = {
+  query: Joi.object({
+    status: Joi.string().valid(...Event.schema.path('status').enumValues),
+    isApproved: Joi.boolean(),
+    ...listQuery({ model: Event, sorts: ['createdAt', 'startDate', 'title'], defaultSort: '-createdAt' })
+  })
+};
@@ -0,0 +1,69 @@
+const Joi = require('joi');
+const { email, token } = require('./common');
+
+const password = Joi.string().min(6).max(128);
+
+exports.register = {
+  body: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    email: email.required(),
+    password: password.required(),
+    phone: Joi.string().trim().max(30).allow('')
+  })
+};
+
+exports.login = {
+  body: Joi.object({
+    email: email.required(),
+    password: Joi.string().required()
+  })
+};
+
+exports.refreshToken = {
+  body: Joi.object({
+    refreshToken: Joi.string().required()
+  })
+};
+
+exports.confirmEmail = {
+  body: Joi.object({
+    token: token.required()
+  })
+};
+
+exports.forgotPassword = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+exports.resetPassword = {
+  params: Joi.object({
+    token: token.required()
+  }),
+  body: Joi.object({
+    password: password.required()
+  })
+};
+
+exports.updateProfile = {
+  body: Joi.object({
+    name: Joi.string().trim().max(100),
+    email,
+    phone: Joi.string().trim().max(30).allow(''),
+    profileImage: Joi.string().uri().allow('')
+  })
+};
+
+exports.exportAccount = {
+  query: Joi.object({
+    format: Joi.string().valid('json', 'zip').default('json')
+  })
+};
+
+exports.requestDeletion = {
+  body: Joi.object({
+    // Confirms it's really the account holder
+    password: Joi.string().required()
+  })
+};
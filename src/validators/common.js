@@ -0,0 +1,60 @@
+const Joi = require('joi');
+const { parseSort } = require('../utils/listQuery');
+
+exports.objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id'
+});
+
+exports.idParams = Joi.object({
+  id: exports.objectId.required()
+});
+
+// Hex tokens handed out by email or API (verification, reset, transfer)
+exports.token = Joi.string().hex().min(32).max(128);
+
+exports.email = Joi.string().trim().lowercase().email();
+
+exports.discountType = Joi.string().valid('percentage', 'fixed');
+
+// Optional from/to query window for reports
+exports.dateRange = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+};
+
+// Top-level fields a list may project; select:false paths and `hidden` are left out
+const projectable = (model, hidden) => [...new Set(
+  Object.values(model.schema.paths)
+    .filter(path => path.options.select !== false)
+    .map(path => path.path.split('.')[0])
+)].filter(field => !hidden.includes(field));
+
+// Query parameters shared by list endpoints (see utils/listQuery): opaque cursor,
+// page size, a whitelisted sort ("field" or "-field") and a `fields=a,b` projection.
+// `sorts` lists the sortable fields, or maps public names to "[-]path".
+exports.listQuery = ({ model, sorts, defaultSort, hidden = [], defaultLimit = 20, maxLimit = 100 }) => {
+  const sortMap = Array.isArray(sorts) ? Object.fromEntries(sorts.map(field => [field, field])) : sorts;
+  const fields = projectable(model, hidden);
+
+  const sort = Joi.string().custom((value, helpers) => {
+    return parseSort(value, sortMap) ||
+      helpers.message(`{{#label}} must be one of ${Object.keys(sortMap).join(', ')} (prefix - to reverse)`);
+  });
+
+  return {
+    cursor: Joi.string().max(1000),
+    limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+    sort: defaultSort ? sort.default(parseSort(defaultSort, sortMap)) : sort,
+    fields: Joi.string().custom((value, helpers) => {
+      const requested = value.split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = requested.filter(field => !fields.includes(field));
+      if (unknown.length) {
+        return helpers.message(`{{#label}} has unknown fields: ${unknown.join(', ')}`);
+      }
+      return requested;
+    }),
+    // Include the number of matching documents in pageInfo
+    count: Joi.boolean().default(false)
+  };
+};
@@ -0,0 +1,406 @@
+const Joi = require('joi');
+const Event = require('../models/Event');
+const EventOccurrence = require('../models/EventOccurrence');
+const PromoCode = require('../models/PromoCode');
+const { TRANSITIONS } = require('../services/eventLifecycle');
+const { EXPORT_COLUMNS, DEFAULT_COLUMNS } = require('../services/registrationExport');
+const { parseRRule, WEEKDAYS, MAX_OCCURRENCES } = require('../services/recurrence');
+const { isValidTimezone } = require('../utils/ical');
+const { SORTS } = require('../services/eventSearch');
+const { ROLES } = require('../services/eventPermissions');
+const { objectId, idParams, email, token, discountType, dateRange, listQuery } = require('./common');
+
+const categories = Event.schema.path('category').enumValues;
+
+const MAX_RADIUS_KM = 500;
+
+const timezone = Joi.string().custom((value, helpers) => {
+  return isValidTimezone(value) ? value : helpers.message('{{#label}} must be an IANA timezone such as Europe/Berlin');
+});
+
+const ticketType = Joi.object({
+  // Present when editing an existing ticket type
+  _id: objectId,
+  name: Joi.string().trim().max(100).required(),
+  price: Joi.number().min(0).required(),
+  quantity: Joi.number().integer().min(0).required(),
+  description: Joi.string().allow('')
+});
+
+const scheduleItem = Joi.object({
+  _id: objectId,
+  title: Joi.string().trim().required(),
+  description: Joi.string().allow(''),
+  startTime: Joi.date().iso().required(),
+  endTime: Joi.date().iso().min(Joi.ref('startTime')).required(),
+  speaker: Joi.string().allow(''),
+  location: Joi.string().allow('')
+});
+
+const discountRule = Joi.object({
+  type: Joi.string().valid('early_bird', 'group').required(),
+  label: Joi.string().allow(''),
+  discountType: discountType.required(),
+  value: Joi.number().min(0).required(),
+  validUntil: Joi.date().iso().when('type', { is: 'early_bird', then: Joi.required() }),
+  minQuantity: Joi.number().integer().min(1).when('type', { is: 'group', then: Joi.required() }),
+  ticketTypes: Joi.array().items(Joi.string())
+});
+
+// Fields organizers may set; organizer, status, isApproved, analytics, attendees
+// and ticket sold/held counters are managed by the server
+const eventFields = {
+  title: Joi.string().trim().max(200),
+  description: Joi.string(),
+  category: Joi.string().valid(...categories),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) }),
+  location: Joi.object({
+    venue: Joi.string().required(),
+    address: Joi.string().required(),
+    city: Joi.string().required(),
+    state: Joi.string().allow(''),
+    country: Joi.string().required(),
+    zipCode: Joi.string().allow(''),
+    timezone,
+    // GeoJSON point; geocoded from the address when left out
+    geo: Joi.object({
+      type: Joi.string().valid('Point').default('Point'),
+      coordinates: Joi.array().ordered(
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required()
+      ).required()
+    })
+  }),
+  images: Joi.array().items(Joi.string().uri()),
+  videos: Joi.array().items(Joi.string().uri()),
+  ticketTypes: Joi.array().items(ticketType).unique('name'),
+  schedule: Joi.array().items(scheduleItem),
+  totalCapacity: Joi.number().integer().min(0),
+  tags: Joi.array().items(Joi.string().trim()),
+  discountRules: Joi.array().items(discountRule),
+  refundPolicy: Joi.object({
+    fullRefundDays: Joi.number().min(0),
+    partialRefundDays: Joi.number().min(0),
+    partialRefundPercent: Joi.number().min(0).max(100)
+  }),
+  transferSettings: Joi.object({
+    allowTransfers: Joi.boolean(),
+    transferDeadline: Joi.date().iso().allow(null)
+  })
+};
+
+const required = ['title', 'description', 'category', 'startDate', 'endDate', 'location', 'totalCapacity'];
+
+exports.listEvents = {
+  query: Joi.object({
+    category: Joi.string().valid(...categories),
+    city: Joi.string().trim().max(100),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    search: Joi.string().trim().max(200),
+    organization: objectId,
+    // "lat,lng" to search around, with the radius in km
+    near: Joi.string().custom((value, helpers) => {
+      const [lat, lng, ...rest] = value.split(',').map(part => Number(part.trim()));
+      if (rest.length || !(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+        return helpers.message('{{#label}} must be "latitude,longitude"');
+      }
+      return { lat, lng };
+    }),
+    radius: Joi.number().positive().max(MAX_RADIUS_KM).default(25),
+    // Sort defaults to relevance when searching, distance with `near`, otherwise date
+    ...listQuery({ model: Event, sorts: SORTS, defaultLimit: 12 })
+  })
+};
+
+exports.eventId = {
+  params: idParams
+};
+
+exports.myEvents = {
+  query: Joi.object({
+    status: Joi.string().valid(...Event.schema.path('status').enumValues),
+    ...listQuery({ model: Event, sorts: ['createdAt', 'startDate', 'title'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.listPromoCodes = {
+  params: idParams,
+  query: Joi.object(listQuery({ model: PromoCode, sorts: ['createdAt', 'code'], defaultSort: '-createdAt' }))
+};
+
+exports.createEvent = {
+  body: Joi.object({
+    ...eventFields,
+    // Create the event for an organization the user is a member of
+    organization: objectId
+  }).fork(required, schema => schema.required())
+};
+
+exports.importEvents = {
+  query: Joi.object({
+    dryRun: Joi.boolean().default(false),
+    atomic: Joi.boolean().default(false)
+  })
+};
+
+exports.updateEvent = {
+  params: idParams,
+  body: Joi.object(eventFields).min(1)
+};
+
+exports.changeStatus = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid(...Object.keys(TRANSITIONS)).required(),
+    reason: Joi.string().trim().max(1000)
+  })
+};
+
+exports.cancelEvent = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().trim().max(1000).required()
+  })
+};
+
+const collaboratorRole = Joi.string().valid(...ROLES);
+
+exports.inviteCollaborator = {
+  params: idParams,
+  body: Joi.object({
+    email: email.required(),
+    role: collaboratorRole.required()
+  })
+};
+
+exports.invitationId = {
+  params: Joi.object({
+    id: objectId.required(),
+    invitationId: objectId.required()
+  })
+};
+
+exports.invitationToken = {
+  params: Joi.object({
+    token: token.required()
+  })
+};
+
+const collaboratorParams = Joi.object({
+  id: objectId.required(),
+  userId: objectId.required()
+});
+
+exports.updateCollaborator = {
+  params: collaboratorParams,
+  body: Joi.object({
+    role: collaboratorRole.required()
+  })
+};
+
+exports.transferOwnership = {
+  params: idParams,
+  body: Joi.object({
+    organizer: objectId,
+    // null takes the event out of its organization
+    organization: objectId.allow(null)
+  }).min(1)
+};
+
+exports.collaboratorId = {
+  params: collaboratorParams
+};
+
+exports.myCollaborations = {
+  query: Joi.object({
+    role: collaboratorRole,
+    ...listQuery({ model: Event, sorts: ['createdAt', 'startDate', 'title'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.checkIn = {
+  params: idParams,
+  body: Joi.object({
+    qrData: Joi.string().required(),
+    // Session being admitted, for recurring events
+    occurrenceId: objectId
+  })
+};
+
+exports.undoCheckIn = {
+  params: idParams,
+  body: Joi.object({
+    registrationId: objectId.required()
+  })
+};
+
+// Comma separated column list, e.g. columns=attendeeName,attendeeEmail
+const exportColumns = Joi.string().custom((value, helpers) => {
+  const columns = value.split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = columns.filter(c => !EXPORT_COLUMNS.includes(c));
+  if (unknown.length || columns.length === 0) {
+    return helpers.message(`{{#label}} must be a comma separated list of: ${EXPORT_COLUMNS.join(', ')}`);
+  }
+  return [...new Set(columns)];
+});
+
+const recurrenceRule = Joi.object({
+  freq: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(52).default(1),
+  byWeekday: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique(),
+  byMonthDay: Joi.array().items(Joi.number().integer().min(-31).max(31).invalid(0)).unique(),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES),
+  until: Joi.date().iso(),
+  exceptions: Joi.array().items(Joi.date().iso()),
+  // Move the series or change session length; default to the current ones
+  dtstart: Joi.date().iso(),
+  durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60)
+}).or('count', 'until');
+
+// Either structured fields or an iCalendar RRULE string, plus exceptions
+exports.setRecurrence = {
+  params: idParams,
+  body: Joi.object({
+    rrule: Joi.string().trim().max(500),
+    freq: Joi.any(),
+    interval: Joi.any(),
+    byWeekday: Joi.any(),
+    byMonthDay: Joi.any(),
+    count: Joi.any(),
+    until: Joi.any(),
+    exceptions: Joi.any(),
+    dtstart: Joi.any(),
+    durationMinutes: Joi.any()
+  }).custom((body, helpers) => {
+    const { rrule, ...fields } = body;
+    const { error, value } = recurrenceRule.validate(rrule ? { ...parseRRule(rrule), ...fields } : fields);
+    if (error) {
+      return helpers.message(`Invalid recurrence: ${error.message}`);
+    }
+    return value;
+  })
+};
+
+const occurrenceParams = Joi.object({
+  id: objectId.required(),
+  occurrenceId: objectId.required()
+});
+
+exports.listOccurrences = {
+  params: idParams,
+  query: Joi.object({
+    ...dateRange,
+    includeCancelled: Joi.boolean().default(false),
+    ...listQuery({ model: EventOccurrence, sorts: ['startDate'], defaultSort: 'startDate', maxLimit: MAX_OCCURRENCES }),
+    // Sessions are listed in a fixed public shape
+    fields: Joi.forbidden()
+  })
+};
+
+exports.occurrenceId = {
+  params: occurrenceParams
+};
+
+exports.updateOccurrence = {
+  params: occurrenceParams,
+  body: Joi.object({
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) }),
+    totalCapacity: Joi.number().integer().min(0),
+    ticketTypes: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      quantity: Joi.number().integer().min(0).required()
+    })).unique('name')
+  }).and('startDate', 'endDate').min(1)
+};
+
+exports.cancelOccurrence = {
+  params: occurrenceParams,
+  body: Joi.object({
+    reason: Joi.string().trim().max(1000).required()
+  })
+};
+
+exports.attachSeating = {
+  params: idParams,
+  body: Joi.object({
+    venueId: objectId.required(),
+    // Which ticket type each price tier of the seat map is sold as
+    tiers: Joi.array().items(Joi.object({
+      tier: Joi.string().trim().required(),
+      ticketType: Joi.string().trim().required()
+    })).min(1).unique('tier').unique('ticketType').required()
+  })
+};
+
+exports.salesAnalytics = {
+  params: idParams,
+  query: Joi.object({
+    ...dateRange,
+    interval: Joi.string().valid('day', 'week').default('day')
+  })
+};
+
+exports.funnelAnalytics = {
+  params: idParams,
+  query: Joi.object(dateRange)
+};
+
+exports.checkInAnalytics = {
+  params: idParams,
+  query: Joi.object({
+    ...dateRange,
+    interval: Joi.string().valid('hour', 'day').default('hour')
+  })
+};
+
+exports.exportRegistrations = {
+  params: idParams,
+  query: Joi.object({
+    format: Joi.string().valid('csv', 'xlsx').default('csv'),
+    columns: exportColumns.default(DEFAULT_COLUMNS),
+    status: Joi.string().valid('active', 'cancelled', 'transferred', 'expired', 'all').default('active'),
+    // One session of a recurring event
+    occurrenceId: objectId,
+    ticketType: Joi.string(),
+    paid: Joi.boolean(),
+    checkedIn: Joi.boolean(),
+    ...dateRange
+  })
+};
+
+const promoCodeFields = {
+  code: Joi.string().trim().uppercase().alphanum().min(3).max(32),
+  description: Joi.string().allow(''),
+  discountType,
+  value: Joi.number().min(0).when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  ticketTypes: Joi.array().items(Joi.string()),
+  maxUses: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  validFrom: Joi.date().iso().allow(null),
+  validUntil: Joi.date().iso().allow(null),
+  isActive: Joi.boolean()
+};
+
+const promoCodeParams = Joi.object({
+  id: objectId.required(),
+  codeId: objectId.required()
+});
+
+exports.createPromoCode = {
+  params: idParams,
+  body: Joi.object(promoCodeFields).fork(['code', 'discountType', 'value'], schema => schema.required())
+};
+
+exports.updatePromoCode = {
+  params: promoCodeParams,
+  body: Joi.object(promoCodeFields).min(1)
+};
+
+exports.promoCodeId = {
+  params: promoCodeParams
+};
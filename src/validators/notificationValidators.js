@@ -0,0 +1,28 @@
+const Joi = require('joi');
+const Notification = require('../models/Notification');
+const { idParams, listQuery } = require('./common');
+const { TYPES, CHANNELS } = require('../services/notifications');
+
+const channelSettings = Joi.object(
+  Object.fromEntries(CHANNELS.map(channel => [channel, Joi.boolean()]))
+);
+
+exports.listNotifications = {
+  query: Joi.object({
+    unread: Joi.boolean(),
+    ...listQuery({ model: Notification, sorts: ['createdAt'], defaultSort: '-createdAt', hidden: ['deliveries', 'inbox'] })
+  })
+};
+
+exports.notificationId = {
+  params: idParams
+};
+
+exports.updatePreferences = {
+  body: Joi.object({
+    channels: channelSettings,
+    types: Joi.object().pattern(Joi.string().valid(...TYPES), channelSettings),
+    smsNumber: Joi.string().trim().allow(''),
+    webhookUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow('')
+  }).min(1)
+};
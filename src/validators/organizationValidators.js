@@ -0,0 +1,80 @@
+const Joi = require('joi');
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { objectId, idParams, email, dateRange, listQuery } = require('./common');
+
+const memberRole = Joi.string().valid(...Organization.schema.path('members').schema.path('role').enumValues);
+
+const memberParams = Joi.object({
+  id: objectId.required(),
+  userId: objectId.required()
+});
+
+const organizationFields = {
+  name: Joi.string().trim().max(200),
+  description: Joi.string().allow('').max(2000),
+  website: Joi.string().uri().allow('')
+};
+
+exports.createOrganization = {
+  body: Joi.object(organizationFields).fork(['name'], schema => schema.required())
+};
+
+exports.updateOrganization = {
+  params: idParams,
+  body: Joi.object(organizationFields).min(1)
+};
+
+exports.organizationId = {
+  params: idParams
+};
+
+exports.listOrganizations = {
+  query: Joi.object(listQuery({ model: Organization, sorts: ['name', 'createdAt'], defaultSort: 'name' }))
+};
+
+exports.addMember = {
+  params: idParams,
+  body: Joi.object({
+    email: email.required(),
+    role: memberRole.default('member')
+  })
+};
+
+exports.updateMember = {
+  params: memberParams,
+  body: Joi.object({
+    role: memberRole.required()
+  })
+};
+
+exports.memberId = {
+  params: memberParams
+};
+
+exports.organizationEvents = {
+  params: idParams,
+  query: Joi.object({
+    status: Joi.string().valid(...Event.schema.path('status').enumValues),
+    ...listQuery({ model: Event, sorts: ['createdAt', 'startDate', 'title'], defaultSort: '-startDate' })
+  })
+};
+
+exports.organizationRegistrations = {
+  params: idParams,
+  query: Joi.object({
+    event: objectId,
+    status: Joi.string().valid(...Registration.schema.path('status').enumValues),
+    paymentStatus: Joi.string().valid(...Registration.schema.path('paymentStatus').enumValues),
+    ...listQuery({ model: Registration, sorts: ['createdAt', 'totalAmount'], defaultSort: '-createdAt' })
+  })
+};
+
+exports.organizationAnalytics = {
+  params: idParams,
+  query: Joi.object({
+    ...dateRange,
+    interval: Joi.string().valid('day', 'week').default('week')
+  })
+};
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const { email, listQuery } = require('./common');
+
+exports.apply = {
+  body: Joi.object({
+    organizationName: Joi.string().trim().max(200).required(),
+    contactName: Joi.string().trim().max(100),
+    contactEmail: email,
+    contactPhone: Joi.string().trim().max(30),
+    website: Joi.string().uri(),
+    reason: Joi.string().trim().max(2000).required()
+  })
+};
+
+exports.listMine = {
+  query: Joi.object(listQuery({ model: OrganizerApplication, sorts: ['createdAt'], defaultSort: '-createdAt' }))
+};
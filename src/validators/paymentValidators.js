@@ -0,0 +1,9 @@
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+exports.simulatePayment = {
+  params: Joi.object({
+    registrationId: objectId.required(),
+    outcome: Joi.string().valid('succeed', 'fail').required()
+  })
+};
@@ -0,0 +1,108 @@
+const Joi = require('joi');
+const Registration = require('../models/Registration');
+const TicketTransfer = require('../models/TicketTransfer');
+const { objectId, idParams, email, token, listQuery } = require('./common');
+
+const registrationList = listQuery({
+  model: Registration,
+  sorts: ['createdAt', 'totalAmount', 'checkInTime'],
+  defaultSort: '-createdAt'
+});
+
+const attendeeInfo = Joi.object({
+  name: Joi.string().trim().max(100),
+  email,
+  phone: Joi.string().trim().max(30).allow(''),
+  specialRequirements: Joi.string().max(1000).allow('')
+});
+
+// Reserved-seating lines list their seats; the quantity follows from them
+const ticketLine = Joi.object({
+  ticketType: Joi.string().required(),
+  quantity: Joi.number().integer().min(1).max(100),
+  seats: Joi.array().items(Joi.string().trim()).min(1).max(100).unique()
+})
+  .or('quantity', 'seats')
+  .custom((line, helpers) => {
+    if (!line.seats) return line;
+    if (line.quantity !== undefined && line.quantity !== line.seats.length) {
+      return helpers.message('{{#label}} quantity must match the number of seats');
+    }
+    return { ...line, quantity: line.seats.length };
+  });
+
+exports.createRegistration = {
+  body: Joi.object({
+    eventId: objectId.required(),
+    // Session to book, for recurring events
+    occurrenceId: objectId,
+    tickets: Joi.array().items(ticketLine).min(1).required(),
+    attendeeInfo,
+    waitlistEntryId: objectId,
+    joinWaitlist: Joi.boolean(),
+    promoCode: Joi.string().trim().max(32)
+  })
+};
+
+exports.registrationId = {
+  params: idParams
+};
+
+exports.myRegistrations = {
+  query: Joi.object({
+    status: Joi.string().valid(...Registration.schema.path('status').enumValues),
+    ...registrationList
+  })
+};
+
+const eventParams = Joi.object({
+  eventId: objectId.required()
+});
+
+exports.eventRegistrations = {
+  params: eventParams,
+  query: Joi.object({
+    checkedIn: Joi.boolean(),
+    ...registrationList
+  })
+};
+
+exports.eventTransfers = {
+  params: eventParams,
+  query: Joi.object(listQuery({
+    model: TicketTransfer,
+    sorts: ['createdAt'],
+    defaultSort: '-createdAt',
+    hidden: ['tokenHash']
+  }))
+};
+
+exports.refund = {
+  params: idParams,
+  body: Joi.object({
+    amount: Joi.number().positive(),
+    reason: Joi.string().max(500)
+  })
+};
+
+exports.transfer = {
+  params: idParams,
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+exports.calendarFeed = {
+  params: Joi.object({
+    token: token.required()
+  })
+};
+
+exports.acceptTransfer = {
+  params: Joi.object({
+    token: token.required()
+  }),
+  body: Joi.object({
+    attendeeInfo
+  })
+};
@@ -0,0 +1,44 @@
+const Joi = require('joi');
+const Venue = require('../models/Venue');
+const { idParams, listQuery } = require('./common');
+
+const seat = Joi.object({
+  number: Joi.alternatives(Joi.string().trim(), Joi.number()).required(),
+  tier: Joi.string().trim().max(50).required(),
+  accessible: Joi.boolean()
+});
+
+const row = Joi.object({
+  name: Joi.string().trim().max(20).required(),
+  seats: Joi.array().items(seat).min(1).unique('number').required()
+});
+
+const section = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  rows: Joi.array().items(row).min(1).unique('name').required()
+});
+
+const venueFields = {
+  name: Joi.string().trim().max(200),
+  address: Joi.string().allow(''),
+  city: Joi.string().allow(''),
+  country: Joi.string().allow(''),
+  sections: Joi.array().items(section).min(1).unique('name')
+};
+
+exports.createVenue = {
+  body: Joi.object(venueFields).fork(['name', 'sections'], schema => schema.required())
+};
+
+exports.updateVenue = {
+  params: idParams,
+  body: Joi.object(venueFields).min(1)
+};
+
+exports.venueId = {
+  params: idParams
+};
+
+exports.listVenues = {
+  query: Joi.object(listQuery({ model: Venue, sorts: ['name', 'createdAt'], defaultSort: 'name' }))
+};
@@ -0,0 +1,22 @@
+const Joi = require('joi');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { objectId, idParams, listQuery } = require('./common');
+
+exports.joinWaitlist = {
+  body: Joi.object({
+    eventId: objectId.required(),
+    ticketType: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).max(100).default(1)
+  })
+};
+
+exports.entryId = {
+  params: idParams
+};
+
+exports.myEntries = {
+  query: Joi.object({
+    status: Joi.string().valid(...WaitlistEntry.schema.path('status').enumValues),
+    ...listQuery({ model: WaitlistEntry, sorts: ['createdAt'], defaultSort: '-createdAt' })
+  })
+};